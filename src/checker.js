@@ -1,192 +1,171 @@
-import dns from 'dns/promises';
-import net from 'net';
+import { createEppProvider } from './providers/epp.js';
+import { createRdapProvider } from './providers/rdap.js';
+import { createWhoisProvider } from './providers/whois.js';
+import { createDnsProvider } from './providers/dns.js';
+import { toAscii } from './idn.js';
+import { flushEvidence, recordCall, recordDecision } from './evidence.js';
+
+// --- Provider registry ---
+// Each provider is { name, tlds, batch, timeoutMs, check(domain), checkBatch?(domains), warmup?() }.
+// `tlds` is null for "any TLD", otherwise a list like ['.com', '.net'].
+// Which providers run, and in what order, comes from config.providers.
+
+const PROVIDERS = {
+  epp: createEppProvider,
+  rdap: createRdapProvider,
+  whois: createWhoisProvider,
+  dns: createDnsProvider,
+};
 
-// --- Primary: EPP-level check via domains.revved.com ---
-// This is the same source of truth registrars use. Supports all TLDs.
+const DEFAULT_PROVIDERS = ['epp', 'rdap', 'whois', 'dns'];
 
-const EPP_HEADERS = {
-  'User-Agent': 'Mozilla/5.0',
-  'Referer': 'https://www.namecheap.com/',
-  'Origin': 'https://www.namecheap.com',
-};
+let activeProviders = null;
 
-function parseEppEntry(entry) {
-  const result = {
-    method: 'epp',
-    available: entry.available,
-    ...(entry.reason ? { note: entry.reason } : {}),
-  };
-  if (entry.premium && entry.fee) {
-    result.premium = true;
-    result.eppPriceAmount = entry.fee.amount;
-    result.eppPrice = `$${entry.fee.amount}/yr`;
-  }
-  return result;
+export function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+function normalizeTlds(tlds) {
+  return tlds.map(t => t.startsWith('.') ? t : '.' + t);
+}
+
+// config.endpoints as provider options; a provider spec's own options win
+function endpointOptions(name, endpoints) {
+  const options = {
+    epp: { endpoint: endpoints.epp },
+    rdap: { bootstrapUrl: endpoints.rdapBootstrap, servers: endpoints.rdapServers },
+  }[name] ?? {};
+  return Object.fromEntries(Object.entries(options).filter(([, v]) => v != null));
 }
 
-async function checkEpp(domain) {
-  try {
-    const url = `https://domains.revved.com/v1/domainStatus?domains=${encodeURIComponent(domain)}`;
-    const res = await fetch(url, {
-      headers: EPP_HEADERS,
-      signal: AbortSignal.timeout(10000),
-    });
-    if (!res.ok) return { method: 'epp', available: null, reason: `HTTP ${res.status}` };
+// Specs are either a provider name or { name, enabled?, tlds?, timeoutMs?, ...providerOptions }
+export function configureProviders(specs = DEFAULT_PROVIDERS, endpoints = {}) {
+  activeProviders = [];
+  for (const spec of specs) {
+    const { name, enabled = true, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+    if (!enabled) continue;
 
-    const data = await res.json();
-    const entry = data.status?.find(s => s.name === domain);
-    if (!entry) return { method: 'epp', available: null, reason: 'domain not in response' };
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown availability provider "${name}"`);
 
-    return parseEppEntry(entry);
-  } catch (err) {
-    return { method: 'epp', available: null, reason: err.message };
+    const provider = factory({ ...endpointOptions(name, endpoints), ...options });
+    if (options.tlds) provider.tlds = normalizeTlds(options.tlds);
+    activeProviders.push(provider);
   }
+  return activeProviders;
 }
 
-// --- Bulk EPP check: sends multiple domains in one request ---
+function getProviders() {
+  return activeProviders ?? configureProviders();
+}
 
-async function checkEppBatch(domains) {
-  const results = new Map();
-  try {
-    const query = domains.map(d => encodeURIComponent(d)).join(',');
-    const url = `https://domains.revved.com/v1/domainStatus?domains=${query}`;
-    const res = await fetch(url, {
-      headers: EPP_HEADERS,
-      signal: AbortSignal.timeout(15000),
-    });
-    if (!res.ok) return results; // empty map — caller will fall back
-
-    const data = await res.json();
-    for (const entry of (data.status ?? [])) {
-      results.set(entry.name, parseEppEntry(entry));
-    }
-  } catch {
-    // return whatever we got — caller falls back for missing domains
-  }
-  return results;
+export function getProvider(name) {
+  return getProviders().find(p => p.name === name) ?? null;
 }
 
-// --- Fallback 1: RDAP ---
+function handles(provider, domain) {
+  return !provider.tlds || provider.tlds.includes('.' + domain.split('.').pop());
+}
 
-let rdapBootstrap = null;
+function inconclusive(domain) {
+  return { domain, method: 'unknown', available: null, reason: 'all checks inconclusive' };
+}
 
-async function loadBootstrap() {
-  if (rdapBootstrap) return rdapBootstrap;
-  try {
-    const res = await fetch('https://data.iana.org/rdap/dns.json');
-    const data = await res.json();
-    rdapBootstrap = {};
-    for (const [tlds, urls] of data.services) {
-      for (const tld of tlds) {
-        rdapBootstrap[tld] = urls[0];
-      }
-    }
-  } catch {
-    rdapBootstrap = {
-      com: 'https://rdap.verisign.com/com/v1/',
-      net: 'https://rdap.verisign.com/net/v1/',
-      org: 'https://rdap.org.rdap.org/',
-      dev: 'https://pubapi.registry.google/rdap/',
-      app: 'https://pubapi.registry.google/rdap/',
-    };
-  }
-  return rdapBootstrap;
-}
-
-function extractTld(domain) {
-  return domain.split('.').pop();
-}
-
-async function checkRdap(domain) {
-  const bootstrap = await loadBootstrap();
-  const server = bootstrap[extractTld(domain)];
-  if (!server) return { method: 'rdap', available: null, reason: 'no RDAP server' };
-
-  const url = `${server.replace(/\/$/, '')}/domain/${domain}`;
-  try {
-    const res = await fetch(url, {
-      headers: { Accept: 'application/rdap+json' },
-      signal: AbortSignal.timeout(8000),
-    });
-    if (res.status === 404) {
-      try {
-        const body = await res.json();
-        const desc = (body.description ?? []).join(' ').toLowerCase();
-        if (desc.includes('blocked') || desc.includes('reserved') || desc.includes('not available')) {
-          return { method: 'rdap', available: false, note: body.description?.join('; ') };
-        }
-      } catch {}
-      return { method: 'rdap', available: true };
-    }
-    if (res.ok) return { method: 'rdap', available: false };
-    return { method: 'rdap', available: null, reason: `HTTP ${res.status}` };
-  } catch (err) {
-    return { method: 'rdap', available: null, reason: err.message };
-  }
+// Logs a provider's answer as evidence and drops the raw response it carried
+function answered(domain, provider, result) {
+  recordCall(domain, provider.name, result);
+  const { raw, ...answer } = result;
+  return answer;
 }
 
-// --- Fallback 2: DNS NS records ---
+function decided(domain, result) {
+  recordDecision(domain, result);
+  return result;
+}
 
-async function checkDns(domain) {
-  try {
-    const ns = await dns.resolveNs(domain);
-    if (ns.length > 0) return { method: 'dns', available: false };
-  } catch (err) {
-    if (err.code === 'ENOTFOUND') return { method: 'dns', available: true };
-    if (err.code !== 'ENODATA') return { method: 'dns', available: null, reason: err.code };
-  }
-  return { method: 'dns', available: null, reason: 'inconclusive' };
+// Providers always get the ASCII (punycode) form; results stay under the name asked for
+function asciiName(domain) {
+  return toAscii(domain) ?? domain;
 }
 
-// --- Main check: EPP first, then fallbacks ---
+// --- Main check: first provider with a conclusive answer wins ---
 
 export async function checkDomain(domain) {
-  // 1. EPP check — authoritative for ALL TLDs
-  const epp = await checkEpp(domain);
-  if (epp.available !== null) {
-    return { domain, ...epp };
+  const ascii = asciiName(domain);
+  let final = inconclusive(domain);
+  for (const provider of getProviders()) {
+    if (!handles(provider, ascii)) continue;
+    const result = answered(domain, provider, await provider.check(ascii));
+    if (result.available !== null) {
+      final = { domain, ...result };
+      break;
+    }
   }
+  decided(domain, final);
+  await flushEvidence();
+  return final;
+}
 
-  // 2. RDAP fallback
-  const rdap = await checkRdap(domain);
-  if (rdap.available !== null) {
-    return { domain, ...rdap };
-  }
+// One provider's answer, or null when it isn't active or doesn't cover the TLD
+export async function checkWith(name, domain) {
+  const ascii = asciiName(domain);
+  const provider = getProvider(name);
+  if (!provider || !handles(provider, ascii)) return null;
+  const result = answered(domain, provider, await provider.check(ascii));
+  await flushEvidence();
+  return { domain, ...result };
+}
 
-  // 3. DNS NS fallback
-  const dnsResult = await checkDns(domain);
-  if (dnsResult.available !== null) {
-    return { domain, ...dnsResult, note: 'DNS fallback — verify before purchasing' };
+async function checkEach(provider, domains) {
+  const results = new Map();
+  const settled = await Promise.allSettled(domains.map(d => provider.check(d)));
+  for (let i = 0; i < domains.length; i++) {
+    if (settled[i].status === 'fulfilled') {
+      results.set(domains[i], settled[i].value);
+    }
   }
-
-  return { domain, method: 'unknown', available: null, reason: 'all checks inconclusive' };
+  return results;
 }
 
-// --- Batch check: EPP first, then individual fallbacks for misses ---
+// --- Batch check: each provider gets whatever the previous ones left unresolved ---
 
 export async function checkDomainsBatch(domains) {
+  const asked = new Map(domains.map(d => [asciiName(d), d]));
   const results = new Map();
+  let pending = [...asked.keys()];
 
-  // 1. Bulk EPP check
-  const eppResults = await checkEppBatch(domains);
-  for (const [domain, result] of eppResults) {
-    results.set(domain, { domain, ...result });
-  }
+  for (const provider of getProviders()) {
+    const eligible = pending.filter(d => handles(provider, d));
+    if (eligible.length === 0) continue;
+
+    // Batch providers take the whole list; the rest run in parallel per domain
+    const answers = provider.batch
+      ? await provider.checkBatch(eligible)
+      : await checkEach(provider, eligible);
 
-  // 2. Individual fallback for domains EPP didn't resolve — in parallel
-  const missed = domains.filter(d => !results.has(d));
-  if (missed.length > 0) {
-    const fallbacks = await Promise.allSettled(missed.map(d => checkDomain(d)));
-    for (let i = 0; i < missed.length; i++) {
-      if (fallbacks[i].status === 'fulfilled') {
-        results.set(missed[i], fallbacks[i].value);
-      }
+    for (const [domain, result] of answers) {
+      if (!pending.includes(domain)) continue;
+      const answer = answered(asked.get(domain) ?? domain, provider, result);
+      if (answer.available !== null) results.set(domain, { domain, ...answer });
     }
+    pending = pending.filter(d => !results.has(d));
+    if (pending.length === 0) break;
   }
 
-  return results;
+  for (const domain of pending) {
+    results.set(domain, inconclusive(domain));
+  }
+
+  // Back under the names asked for
+  const byName = new Map();
+  for (const [ascii, result] of results) {
+    const domain = asked.get(ascii);
+    byName.set(domain, decided(domain, { ...result, domain }));
+  }
+  await flushEvidence();
+  return byName;
 }
 
-export async function warmupBootstrap() {
-  await loadBootstrap();
+export async function warmupProviders() {
+  await Promise.all(getProviders().map(p => p.warmup?.()));
 }
@@ -0,0 +1,146 @@
+import { parseArgs } from 'util';
+
+// --- Command line: subcommands, their flags, and --help ---
+// The first argument picks the command; anything else (or nothing) means scan,
+// so `node src/index.js --max-runtime 60000` keeps working.
+
+const COMMANDS = {
+  scan: {
+    usage: 'scan [options]',
+    summary: 'Generate names and check them until stopped (default)',
+    flags: {
+      'max-runtime': { type: 'string', value: '<ms>', help: 'Stop cleanly after this many milliseconds' },
+      tlds: { type: 'string', value: '<list>', help: 'Comma-separated TLDs to scan instead of config.tlds' },
+      strategies: { type: 'string', value: '<list>', help: 'Comma-separated strategies instead of config.strategies' },
+      shard: { type: 'string', value: '<i/N>', help: 'Only check names that hash into shard i of N' },
+      seed: { type: 'string', value: '<seed>', help: 'Generator seed (defaults to config.seed, then the saved one)' },
+    },
+  },
+  check: {
+    usage: 'check <domain|name...> [options]',
+    summary: 'Look up specific domains now; a bare name is tried on every TLD',
+    positionals: true,
+    flags: {
+      tlds: { type: 'string', value: '<list>', help: 'TLDs to try bare names on instead of config.tlds' },
+      file: { type: 'string', value: '<file>', help: 'Read names from a file, one per line (- for stdin)' },
+      json: { type: 'boolean', help: 'Print one JSON object per domain instead of a table' },
+      save: { type: 'boolean', help: 'Add finds to found.json and checked.json under the Manual strategy' },
+    },
+  },
+  recheck: {
+    usage: 'recheck',
+    summary: 'Re-verify every found domain and mark the ones since registered as lost',
+    flags: {},
+  },
+  watch: {
+    usage: 'watch [add|remove <domain...> | list]',
+    summary: 'Poll watched domains as they approach their drop date',
+    positionals: true,
+    flags: {},
+  },
+  export: {
+    usage: 'export [options]',
+    summary: 'Export found domains as JSON, JSON Lines, CSV, a domain list or a Markdown/HTML report',
+    flags: {
+      output: { type: 'string', value: '<file>', help: 'Write to a file instead of stdout' },
+      format: { type: 'string', value: '<format>', help: 'json, jsonl, csv, txt, md or html (default: from --output, else json)' },
+      tlds: { type: 'string', value: '<list>', help: 'Only these comma-separated TLDs' },
+      strategies: { type: 'string', value: '<list>', help: 'Only these comma-separated strategy names' },
+      status: { type: 'string', value: '<status>', help: 'available, lost or all (default all)' },
+      'max-price': { type: 'string', value: '<amount>', help: 'Only domains at or under this yearly price, in the display currency' },
+      premium: { type: 'string', value: '<mode>', help: 'only or exclude premium names (default: include them)' },
+      since: { type: 'string', value: '<date>', help: 'Only domains found on or after this date' },
+      until: { type: 'string', value: '<date>', help: 'Only domains found on or before this date' },
+      top: { type: 'string', value: '<n>', help: 'Only the best n by score' },
+      search: { type: 'string', value: '<text>', help: 'Only domains containing this text' },
+    },
+  },
+  prices: {
+    usage: 'prices [options]',
+    summary: 'Show register, renewal and transfer prices for the configured TLDs',
+    flags: {
+      tlds: { type: 'string', value: '<list>', help: 'TLDs to show instead of config.tlds' },
+      refresh: { type: 'boolean', help: 'Re-fetch prices now instead of using the cache' },
+    },
+  },
+  evidence: {
+    usage: 'evidence <domain...> [options]',
+    summary: 'Show what each provider answered for a domain, from the evidence log',
+    positionals: true,
+    flags: {
+      json: { type: 'boolean', help: 'Print the recorded events as JSON lines' },
+      replay: { type: 'boolean', help: 'Re-parse recorded responses and flag answers that would change' },
+    },
+  },
+  stats: {
+    usage: 'stats',
+    summary: 'Summarise checked and found domains by TLD and strategy',
+    flags: {},
+  },
+};
+
+const GLOBAL_FLAGS = {
+  help: { type: 'boolean', short: 'h', help: 'Show help' },
+};
+
+export const DEFAULT_COMMAND = 'scan';
+
+// Returns { command, positionals, flags }; throws on unknown commands, flags or stray arguments
+export function parseCli(argv) {
+  const explicit = argv[0] && !argv[0].startsWith('-');
+  const command = explicit ? argv[0] : DEFAULT_COMMAND;
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  const options = {};
+  for (const [name, { type, short }] of Object.entries({ ...GLOBAL_FLAGS, ...spec.flags })) {
+    options[name] = short ? { type, short } : { type };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: explicit ? argv.slice(1) : argv,
+      options,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (err) {
+    if (!err.code?.startsWith('ERR_PARSE_ARGS')) throw err;
+    throw new Error(`${err.message.split('. ')[0]} for "${command}" — see --help`);
+  }
+
+  if (parsed.positionals.length > 0 && !spec.positionals && !parsed.values.help) {
+    throw new Error(`"${command}" takes no arguments, got "${parsed.positionals.join(' ')}"`);
+  }
+  return { command, positionals: parsed.positionals, flags: parsed.values };
+}
+
+function flagLines(flags) {
+  return Object.entries(flags).map(([name, { short, value, help }]) => {
+    const label = `${short ? `-${short}, ` : ''}--${name}${value ? ` ${value}` : ''}`;
+    return `    ${label.padEnd(26)} ${help}`;
+  });
+}
+
+export function printHelp(command) {
+  const lines = [];
+  const spec = COMMANDS[command];
+
+  if (spec && command !== DEFAULT_COMMAND) {
+    lines.push(`  Usage: domain-radar ${spec.usage}`, '', `  ${spec.summary}`, '');
+  } else {
+    lines.push('  Usage: domain-radar [command] [options]', '', '  Commands:');
+    for (const [name, { summary }] of Object.entries(COMMANDS)) {
+      lines.push(`    ${name.padEnd(26)} ${summary}`);
+    }
+    lines.push('', '  Scan options:');
+  }
+
+  const flags = flagLines(spec?.flags ?? {});
+  if (flags.length > 0 && command !== DEFAULT_COMMAND) lines.push('  Options:');
+  lines.push(...flags, ...flagLines(GLOBAL_FLAGS), '');
+  console.log(lines.join('\n'));
+}
@@ -0,0 +1,547 @@
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULTS as RATE_LIMIT_DEFAULTS } from './ratelimit.js';
+import { DEFAULTS as QUALITY_GATE_DEFAULTS } from './filter.js';
+import { PLACEHOLDERS } from './generator.js';
+import { DEFAULTS as PRICING_DEFAULTS } from './pricing.js';
+import { DEFAULTS as CURRENCY_DEFAULTS } from './currency.js';
+import { SCRIPT_NAMES } from './idn.js';
+import { DEFAULTS as NOTIFY_DEFAULTS } from './notify.js';
+import { DEFAULTS as VERIFY_DEFAULTS } from './verify.js';
+import { DEFAULTS as EVIDENCE_DEFAULTS } from './evidence.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// --- Config: defaults < config.json < config.local.json < RADAR_* env < CLI flags ---
+// config.local.json is gitignored, for personal keywords and names. Every key
+// can also come from the environment: RADAR_MAX_PRICE_PER_YEAR=30, lists as
+// RADAR_TLDS=.com,.dev, nested keys with a double underscore as in
+// RADAR_RETRY__MAX_ATTEMPTS=8. The merged result is checked against SCHEMA and
+// every problem is reported at once.
+
+export const CONFIG_PATH = join(ROOT, 'config.json');
+export const LOCAL_CONFIG_PATH = join(ROOT, 'config.local.json');
+
+const STRATEGIES = ['short', 'keyword', 'personal', 'combos', 'expired', 'idn', 'alnum'];
+const BUILTIN_STRATEGY_NAMES = ['2-Letter', 'Short & Catchy', 'Keyword-Based', 'Short Combos', 'Word Combos', 'Word+Number', 'IDN Words', 'Alnum Combos', 'Manual'];
+const CUSTOM_KINDS = ['pattern', 'shape', 'words', 'wordsFile'];
+
+const num = (fallback, { min = -Infinity, max = Infinity, integer = false } = {}) =>
+  ({ type: 'number', default: fallback, min, max, integer });
+const str = (fallback, { nullable = false } = {}) => ({ type: 'string', default: fallback, nullable });
+const bool = fallback => ({ type: 'boolean', default: fallback });
+const list = (fallback, { values = null, tld = false } = {}) => ({ type: 'list', default: fallback, values, tld });
+const obj = properties => ({ type: 'object', properties });
+const oneOf = (fallback, values) => ({ type: 'enum', default: fallback, values });
+
+const SCHEMA = obj({
+  keywords: list([]),
+  personalNames: list([]),
+  tlds: list(['.com', '.dev', '.io'], { tld: true }),
+  maxPricePerYear: num(50, { min: 0 }),
+  requestDelayMs: num(200, { min: 0, integer: true }),
+  batchSize: num(50, { min: 1, integer: true }),
+  concurrentBatches: num(3, { min: 1, integer: true }),
+  seed: str(null, { nullable: true }),
+  strategies: list(['short', 'keyword', 'personal', 'combos'], { values: STRATEGIES }),
+  personalStrategyName: str('Alex-Themed'),
+  customStrategies: { type: 'customStrategies', default: [] },
+  scheduling: obj({
+    adaptive: bool(false),
+    minSamples: num(500, { min: 0 }),
+    minFactor: num(0.1, { min: 0.01 }),
+    maxFactor: num(10, { min: 1 }),
+    strategies: { type: 'strategySettings', default: {} },
+  }),
+  currency: obj({
+    code: { type: 'currencyCode', default: CURRENCY_DEFAULTS.code },
+    rates: { type: 'rates', default: {} },
+  }),
+  pricing: obj({
+    file: str(PRICING_DEFAULTS.file, { nullable: true }),
+    registrar: str(PRICING_DEFAULTS.registrar),
+    fetcher: { type: 'fetcher', default: PRICING_DEFAULTS.fetcher },
+    cacheFile: str(PRICING_DEFAULTS.cacheFile, { nullable: true }),
+    maxAgeHours: num(PRICING_DEFAULTS.maxAgeHours, { min: 0 }),
+    basis: oneOf(PRICING_DEFAULTS.basis, ['firstYear', 'renewal', 'total']),
+    years: num(PRICING_DEFAULTS.years, { min: 1, integer: true }),
+    unknownPrices: oneOf('check', ['check', 'skip']),
+  }),
+  idn: obj({
+    rules: { type: 'idnRules', default: {} },
+    allowMixedScripts: bool(false),
+  }),
+  retry: obj({
+    maxAttempts: num(5, { min: 1, integer: true }),
+    delayMs: num(60000, { min: 0, integer: true }),
+  }),
+  rateLimit: obj({
+    requestsPerSecond: num(RATE_LIMIT_DEFAULTS.requestsPerSecond, { min: 0.01 }),
+    burst: num(RATE_LIMIT_DEFAULTS.burst, { min: 1 }),
+    minRequestsPerSecond: num(RATE_LIMIT_DEFAULTS.minRequestsPerSecond, { min: 0.01 }),
+    maxRetries: num(RATE_LIMIT_DEFAULTS.maxRetries, { min: 0, integer: true }),
+    baseBackoffMs: num(RATE_LIMIT_DEFAULTS.baseBackoffMs, { min: 0 }),
+    maxBackoffMs: num(RATE_LIMIT_DEFAULTS.maxBackoffMs, { min: 0 }),
+    errorThreshold: num(RATE_LIMIT_DEFAULTS.errorThreshold, { min: 0, max: 1 }),
+    hosts: { type: 'hosts', default: {} },
+  }),
+  qualityGate: obj({
+    enabled: bool(QUALITY_GATE_DEFAULTS.enabled),
+    minLabelLength: num(QUALITY_GATE_DEFAULTS.minLabelLength, { min: 1, integer: true }),
+    minPronounceability: num(QUALITY_GATE_DEFAULTS.minPronounceability, { min: 0, max: 1 }),
+    maxConsonantRun: num(QUALITY_GATE_DEFAULTS.maxConsonantRun, { min: 1, integer: true }),
+    bannedClusters: list(QUALITY_GATE_DEFAULTS.bannedClusters),
+    blocklist: list(QUALITY_GATE_DEFAULTS.blocklist),
+    blocklistFile: str(QUALITY_GATE_DEFAULTS.blocklistFile, { nullable: true }),
+    exemptStrategies: list(QUALITY_GATE_DEFAULTS.exemptStrategies),
+  }),
+  notifications: obj({
+    enabled: bool(NOTIFY_DEFAULTS.enabled),
+    stateFile: str(NOTIFY_DEFAULTS.stateFile),
+    rules: { type: 'notifyRules', default: NOTIFY_DEFAULTS.rules },
+    sinks: { type: 'notifySinks', default: NOTIFY_DEFAULTS.sinks },
+  }),
+  watchlist: obj({
+    minPollMinutes: num(5, { min: 1 }),
+    maxPollMinutes: num(1440, { min: 1 }),
+  }),
+  providers: { type: 'providers', default: ['epp', 'rdap', 'whois', 'dns'] },
+  // Base URLs the providers talk to; unset means the public services. Point
+  // these at test/mock-registry.js to run without network access.
+  endpoints: obj({
+    epp: str(null, { nullable: true }),
+    rdapBootstrap: str(null, { nullable: true }),
+    rdapServers: { type: 'urls', default: {} },
+  }),
+  verification: obj({
+    enabled: bool(VERIFY_DEFAULTS.enabled),
+    providers: list(VERIFY_DEFAULTS.providers),
+    minConfidence: oneOf(VERIFY_DEFAULTS.minConfidence, ['single-source', 'confirmed']),
+  }),
+  evidence: obj({
+    enabled: bool(EVIDENCE_DEFAULTS.enabled),
+    dir: str(EVIDENCE_DEFAULTS.dir),
+    maxFileBytes: num(EVIDENCE_DEFAULTS.maxFileBytes, { min: 1024, integer: true }),
+    maxFiles: num(EVIDENCE_DEFAULTS.maxFiles, { min: 1, integer: true }),
+    maxPayloadBytes: num(EVIDENCE_DEFAULTS.maxPayloadBytes, { min: 0, integer: true }),
+  }),
+});
+
+// --- Validation ---
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(row[j] + 1, row[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = row[j];
+      row[j] = next;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(key, known) {
+  const best = known
+    .map(k => [k, editDistance(key.toLowerCase(), k.toLowerCase())])
+    .sort((a, b) => a[1] - b[1])[0];
+  return best && best[1] <= 3 ? ` (did you mean "${best[0]}"?)` : '';
+}
+
+function describe(value) {
+  return Array.isArray(value) ? 'a list' : value === null ? 'null' : typeof value;
+}
+
+function normalizeTld(tld) {
+  tld = tld.trim().toLowerCase();
+  return tld.startsWith('.') ? tld : '.' + tld;
+}
+
+// Returns the normalized value with defaults filled in; problems are pushed onto `errors`
+function check(value, schema, path, errors) {
+  if (value === undefined) {
+    if (schema.default === undefined && schema.type !== 'object') return undefined; // optional, unset
+    value = structuredClone(schema.default);
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (value === undefined) value = {};
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must be an object, got ${describe(value)}`);
+        return value;
+      }
+      const known = Object.keys(schema.properties);
+      const out = {};
+      for (const key of Object.keys(value)) {
+        if (!known.includes(key)) errors.push(`${path ? path + '.' : ''}${key} is not a setting${suggest(key, known)}`);
+      }
+      for (const key of known) {
+        out[key] = check(value[key], schema.properties[key], path ? `${path}.${key}` : key, errors);
+      }
+      return out;
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number, got ${JSON.stringify(value)}`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be a whole number, got ${value}`);
+      } else if (value < schema.min || value > schema.max) {
+        const range = schema.max === Infinity ? `at least ${schema.min}` : `between ${schema.min} and ${schema.max}`;
+        errors.push(`${path} must be ${range}, got ${value}`);
+      }
+      return value;
+    case 'string':
+      if (value === null && schema.nullable) return value;
+      if (typeof value !== 'string') errors.push(`${path} must be a string, got ${describe(value)}`);
+      return value;
+    case 'currencyCode':
+      if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) {
+        errors.push(`${path} must be a three-letter currency code like "EUR", got ${JSON.stringify(value)}`);
+      }
+      return value;
+    case 'rates':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must map currency codes to rates`);
+        return value;
+      }
+      for (const [code, rate] of Object.entries(value)) {
+        if (!/^[A-Z]{3}$/.test(code)) errors.push(`${path} has an invalid currency code "${code}"`);
+        if (typeof rate !== 'number' || !(rate > 0)) errors.push(`${path}.${code} must be a positive number`);
+      }
+      return value;
+    case 'urls':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must map TLDs (without the dot) to URLs`);
+        return value;
+      }
+      for (const [key, url] of Object.entries(value)) {
+        if (typeof url !== 'string' || !URL.canParse(url)) errors.push(`${path}.${key} must be a URL, got ${JSON.stringify(url)}`);
+      }
+      return value;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${path} must be one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}${typeof value === 'string' ? suggest(value, schema.values) : ''}`);
+      }
+      return value;
+    case 'fetcher': {
+      const name = typeof value === 'string' ? value : value?.name;
+      if (value !== null && typeof name !== 'string') errors.push(`${path} must be null, a fetcher name, or { name, ...options }`);
+      return value;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be true or false, got ${JSON.stringify(value)}`);
+      return value;
+    case 'list': {
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        errors.push(`${path} must be a list of strings`);
+        return value;
+      }
+      if (schema.tld) {
+        value = value.map(normalizeTld);
+        for (const tld of value) {
+          if (!/^\.[a-z0-9-]+$/.test(tld)) errors.push(`${path} has an invalid TLD "${tld}"`);
+        }
+      }
+      if (schema.values) {
+        for (const v of value) {
+          if (!schema.values.includes(v)) {
+            errors.push(`${path} has unknown value "${v}" (expected ${schema.values.join(', ')})${suggest(v, schema.values)}`);
+          }
+        }
+      }
+      return value;
+    }
+    case 'hosts': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must map host names to rate limits`);
+        return value;
+      }
+      const { requestsPerSecond, burst, minRequestsPerSecond } = SCHEMA.properties.rateLimit.properties;
+      const hostSchema = { requestsPerSecond, burst, minRequestsPerSecond };
+      const out = {};
+      for (const [host, limits] of Object.entries(value)) {
+        out[host] = {};
+        for (const [key, v] of Object.entries(limits ?? {})) {
+          if (!hostSchema[key]) errors.push(`${path}.${host}.${key} is not a setting${suggest(key, Object.keys(hostSchema))}`);
+          else out[host][key] = check(v, hostSchema[key], `${path}.${host}.${key}`, errors);
+        }
+      }
+      return out;
+    }
+    case 'idnRules': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must map TLDs to { scripts, chars } or false`);
+        return value;
+      }
+      const out = {};
+      for (const [key, rule] of Object.entries(value)) {
+        const tld = normalizeTld(key);
+        out[tld] = rule;
+        if (rule === false) continue;
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+          errors.push(`${path}.${key} must be { scripts, chars } or false`);
+          continue;
+        }
+        for (const k of Object.keys(rule)) {
+          if (k !== 'scripts' && k !== 'chars') errors.push(`${path}.${key}.${k} is not a setting${suggest(k, ['scripts', 'chars'])}`);
+        }
+        if (rule.chars !== undefined && typeof rule.chars !== 'string') errors.push(`${path}.${key}.chars must be a string of letters`);
+        if (rule.scripts === undefined && rule.chars === undefined) errors.push(`${path}.${key} needs scripts or chars`);
+        if (rule.scripts !== undefined) {
+          if (!Array.isArray(rule.scripts)) errors.push(`${path}.${key}.scripts must be a list of script names`);
+          else for (const script of rule.scripts) {
+            if (!SCRIPT_NAMES.includes(script)) errors.push(`${path}.${key}.scripts has unknown script "${script}"${suggest(String(script), SCRIPT_NAMES)}`);
+          }
+        }
+      }
+      return out;
+    }
+    case 'lists':
+      if (value === undefined) return value;
+      if (typeof value !== 'object' || value === null || Array.isArray(value)
+        || Object.values(value).some(l => !Array.isArray(l) || l.some(v => typeof v !== 'string'))) {
+        errors.push(`${path} must map placeholder names to lists of strings`);
+      }
+      return value;
+    case 'strategySettings': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must map strategy names to { enabled, weight }`);
+        return value;
+      }
+      const out = {};
+      for (const [name, settings] of Object.entries(value)) {
+        out[name] = check(settings, STRATEGY_SETTINGS_SCHEMA, `${path}.${name}`, errors);
+        for (const key of Object.keys(out[name] ?? {})) if (out[name][key] === undefined) delete out[name][key];
+      }
+      return out;
+    }
+    case 'notifyRules':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list of rules`);
+        return value;
+      }
+      return value.map((rule, i) => {
+        const out = check(rule, NOTIFY_RULE_SCHEMA, `${path}[${i}]`, errors);
+        for (const key of Object.keys(out ?? {})) if (out[key] === undefined) delete out[key];
+        return out;
+      });
+    case 'notifySinks':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list of { type, ... } sinks`);
+        return value;
+      }
+      value.forEach((sink, i) => {
+        if (typeof sink?.type !== 'string') {
+          errors.push(`${path}[${i}] needs a type (${Object.keys(SINK_REQUIRED).join(', ')})`);
+          return;
+        }
+        for (const keys of SINK_REQUIRED[sink.type] ?? []) {
+          const options = keys.split('|');
+          if (options.every(k => sink[k] === undefined)) errors.push(`${path}[${i}] (${sink.type}) needs ${options.join(' or ')}`);
+        }
+      });
+      return value;
+    case 'customStrategies':
+      return checkCustomStrategies(value, path, errors);
+    case 'providers':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list of provider names or { name, ... } objects`);
+        return value;
+      }
+      value.forEach((p, i) => {
+        const name = typeof p === 'string' ? p : p?.name;
+        if (typeof name !== 'string') errors.push(`${path}[${i}] needs a provider name`);
+      });
+      return value;
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+const STRATEGY_SETTINGS_SCHEMA = obj({
+  enabled: bool(true),
+  weight: num(undefined, { min: 0.01 }),
+});
+
+// Every condition a rule sets must hold; prices are in the display currency
+const NOTIFY_RULE_SCHEMA = obj({
+  name: str(undefined),
+  minScore: num(undefined, { min: 0, max: 100 }),
+  maxLength: num(undefined, { min: 1, integer: true }),
+  tlds: list(undefined, { tld: true }),
+  maxPrice: num(undefined, { min: 0 }),
+  strategies: list(undefined),
+  premium: bool(undefined),
+});
+
+// Required options per built-in sink type; a|b means either will do
+const SINK_REQUIRED = {
+  webhook: ['url|urlEnv'],
+  smtp: ['host', 'from', 'to'],
+  command: ['command'],
+};
+
+const CUSTOM_SCHEMA = obj({
+  name: str(undefined),
+  weight: num(1, { min: 0.01 }),
+  tlds: list(undefined, { tld: true }),
+  pattern: str(undefined),
+  shape: str(undefined),
+  words: list(undefined),
+  wordsFile: str(undefined),
+  prefixes: list(undefined),
+  suffixes: list(undefined),
+  lists: { type: 'lists' },
+});
+
+function checkCustomStrategies(value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be a list of strategy definitions`);
+    return value;
+  }
+  const names = new Set(BUILTIN_STRATEGY_NAMES);
+  return value.map((spec, i) => {
+    const at = `${path}[${i}]`;
+    const out = check(spec, CUSTOM_SCHEMA, at, errors);
+    // Unset optional keys would otherwise show up as explicit undefineds
+    for (const key of Object.keys(out ?? {})) if (out[key] === undefined) delete out[key];
+    if (typeof out?.name !== 'string' || !out.name) {
+      errors.push(`${at} needs a name`);
+      return out;
+    }
+    if (names.has(out.name)) errors.push(`${at} reuses the strategy name "${out.name}"`);
+    names.add(out.name);
+
+    const kinds = CUSTOM_KINDS.filter(k => out[k] !== undefined);
+    if (kinds.length !== 1) {
+      errors.push(`${at} ("${out.name}") needs exactly one of ${CUSTOM_KINDS.join(', ')}`);
+      return out;
+    }
+    if (out.shape !== undefined && !/^[CVLD]+$/.test(out.shape)) {
+      errors.push(`${at}.shape may only use C (consonant), V (vowel), L (letter) and D (digit), got "${out.shape}"`);
+    }
+    if (out.pattern !== undefined) {
+      const known = [...PLACEHOLDERS, ...Object.keys(out.lists ?? {})];
+      for (const [, key] of out.pattern.matchAll(/\{([^}]*)\}/g)) {
+        if (!known.includes(key) && !/^[CVLD]+$/.test(key)) {
+          errors.push(`${at}.pattern uses unknown placeholder {${key}}${suggest(key, known)}`);
+        }
+      }
+    }
+    return out;
+  });
+}
+
+export function validateConfig(raw) {
+  const errors = [];
+  const config = check(raw, SCHEMA, '', errors);
+
+  if (errors.length === 0 && config.currency.rates[config.currency.code] == null && CURRENCY_DEFAULTS.rates[config.currency.code] == null) {
+    errors.push(`currency.rates needs a rate for ${config.currency.code}`);
+  }
+
+  // Scheduling settings must name a strategy that exists
+  if (errors.length === 0) {
+    const known = [...BUILTIN_STRATEGY_NAMES, config.personalStrategyName, ...config.customStrategies.map(c => c.name)];
+    for (const name of Object.keys(config.scheduling.strategies)) {
+      if (!known.includes(name)) errors.push(`scheduling.strategies has unknown strategy "${name}"${suggest(name, known)}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid config:\n    ${errors.join('\n    ')}`);
+  }
+  return config;
+}
+
+// --- Layering ---
+
+// Objects merge key by key; lists and scalars from the later layer replace earlier ones
+function deepMerge(base, over) {
+  if (typeof base !== 'object' || base === null || Array.isArray(base)) return over;
+  if (typeof over !== 'object' || over === null || Array.isArray(over)) return over;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    out[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return out;
+}
+
+function envName(path) {
+  return 'RADAR_' + path.map(k => k.replace(/[A-Z]/g, c => '_' + c).toUpperCase()).join('__');
+}
+
+function parseEnvValue(raw, schema) {
+  const text = raw.trim();
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {}
+  }
+  switch (schema.type) {
+    case 'number': {
+      const n = Number(text);
+      return text === '' || Number.isNaN(n) ? text : n;
+    }
+    case 'boolean':
+      return /^(1|true|yes|on)$/i.test(text) ? true : /^(0|false|no|off)$/i.test(text) ? false : text;
+    case 'list':
+    case 'providers':
+      return text.split(',').map(s => s.trim()).filter(Boolean);
+    case 'string':
+      return schema.nullable && text === '' ? null : text;
+    default:
+      return text;
+  }
+}
+
+// Known RADAR_* variables become a config layer; anything else (RADAR_PASSWORD, ...) is left alone
+export function configFromEnv(env = process.env) {
+  const layer = {};
+  const walk = (schema, path, target) => {
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (child.type === 'object') {
+        const nested = {};
+        walk(child, [...path, key], nested);
+        if (Object.keys(nested).length > 0) target[key] = nested;
+        continue;
+      }
+      const raw = env[envName([...path, key])];
+      if (raw !== undefined) target[key] = parseEnvValue(raw, child);
+    }
+  };
+  walk(SCHEMA, [], layer);
+  return layer;
+}
+
+async function readLayer(path, { required }) {
+  let raw;
+  try {
+    raw = await readFile(path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    throw new Error(`Cannot read ${path}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${path} is not valid JSON: ${err.message}`);
+  }
+}
+
+export async function loadConfig({
+  path = CONFIG_PATH,
+  localPath = LOCAL_CONFIG_PATH,
+  env = process.env,
+  overrides = {},
+} = {}) {
+  let merged = await readLayer(path, { required: false });
+  if (localPath) merged = deepMerge(merged, await readLayer(localPath, { required: false }));
+  merged = deepMerge(merged, configFromEnv(env));
+  merged = deepMerge(merged, overrides);
+  return validateConfig(merged);
+}
@@ -0,0 +1,66 @@
+// --- Money: { amount, currency } plus a configurable rate table ---
+// Rates are units of each currency per one unit of a common reference — any
+// reference works as long as the table is consistent. The default uses USD.
+// Prices are converted into the display currency (config.currency.code) for
+// budgets, found.json and output; what a registry quoted is kept alongside.
+
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CHF: 0.88,
+  CAD: 1.37,
+  AUD: 1.52,
+  JPY: 150,
+  INR: 83,
+};
+
+const SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', INR: '₹' };
+
+export const DEFAULTS = { code: 'USD', rates: DEFAULT_RATES };
+
+let displayCurrency = DEFAULTS.code;
+let rates = { ...DEFAULT_RATES };
+
+export function configureCurrency({ code = DEFAULTS.code, rates: overrides = {} } = {}) {
+  rates = { ...DEFAULT_RATES, ...overrides };
+  if (rates[code] == null) throw new Error(`No exchange rate for display currency ${code}`);
+  displayCurrency = code;
+}
+
+export function getDisplayCurrency() {
+  return displayCurrency;
+}
+
+export function money(amount, currency = displayCurrency) {
+  return { amount, currency: currency.toUpperCase() };
+}
+
+// Converts to another currency, or returns null when either rate is missing
+export function convert(value, to = displayCurrency) {
+  if (!value) return null;
+  if (value.currency === to) return value;
+  const from = rates[value.currency];
+  if (from == null || rates[to] == null) return null;
+  return { amount: Math.round((value.amount / from) * rates[to] * 100) / 100, currency: to };
+}
+
+// Accepts a money object or the old "$89/yr" / "~$12/yr" strings (always dollars)
+export function parseMoney(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') return value.amount != null && value.currency ? value : null;
+  const m = String(value).match(/\d+(?:\.\d+)?/);
+  return m ? { amount: parseFloat(m[0]), currency: 'USD' } : null;
+}
+
+export function sameMoney(a, b) {
+  return (a?.amount ?? null) === (b?.amount ?? null) && (a?.currency ?? null) === (b?.currency ?? null);
+}
+
+export function formatMoney(value, { approx = false, perYear = true } = {}) {
+  if (!value) return 'price unknown';
+  const amount = Number.isInteger(value.amount) ? String(value.amount) : value.amount.toFixed(2);
+  const symbol = SYMBOLS[value.currency];
+  const text = symbol ? `${symbol}${amount}` : `${amount} ${value.currency}`;
+  return `${approx ? '~' : ''}${text}${perYear ? '/yr' : ''}`;
+}
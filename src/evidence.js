@@ -0,0 +1,164 @@
+import { appendFile, readFile, rename, stat, mkdir } from 'fs/promises';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import { toAscii } from './idn.js';
+import { parseEppEntry } from './providers/epp.js';
+import { parseRdapResponse } from './providers/rdap.js';
+import { parseWhoisResponse } from './providers/whois.js';
+import { parseDnsAnswer } from './providers/dns.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// --- Evidence log: what each provider actually said, per check ---
+// Opt-in (config.evidence.enabled). One JSON line per event:
+//   { at, domain, kind: 'call', provider, status?, latencyMs, source?, payload, available, reason?, note? }
+//   { at, domain, kind: 'decision', method, available, reason? }       checker's final answer
+//   { at, domain, kind: 'verdict', confidence, verifiedBy }             verification outcome
+// Payloads are trimmed to maxPayloadBytes. evidence.jsonl rolls over to
+// evidence.1.jsonl … evidence.<maxFiles-1>.jsonl, oldest dropped.
+// Recorded calls can be replayed through today's parsers, offline.
+
+export const DEFAULTS = {
+  enabled: false,
+  dir: 'data/evidence',
+  maxFileBytes: 5 * 1024 * 1024,
+  maxFiles: 5,
+  maxPayloadBytes: 4096,
+};
+
+let settings = { ...DEFAULTS };
+let pending = [];
+let writing = Promise.resolve();
+
+export function configureEvidence(options = {}) {
+  settings = { ...DEFAULTS, ...options };
+}
+
+function logDir() {
+  return isAbsolute(settings.dir) ? settings.dir : join(ROOT, settings.dir);
+}
+
+function logFile(index) {
+  return join(logDir(), index === 0 ? 'evidence.jsonl' : `evidence.${index}.jsonl`);
+}
+
+function trim(payload) {
+  if (payload == null) return undefined;
+  return payload.length > settings.maxPayloadBytes ? payload.slice(0, settings.maxPayloadBytes) + '…[trimmed]' : payload;
+}
+
+// A provider's answer; `raw` is what the provider attached ({ status, latencyMs, source, payload, ... })
+export function recordCall(domain, provider, { raw = {}, available, reason, note }) {
+  if (!settings.enabled) return;
+  const { payload, ...meta } = raw;
+  pending.push({
+    at: new Date().toISOString(),
+    domain,
+    kind: 'call',
+    provider,
+    ...meta,
+    payload: trim(payload),
+    available,
+    ...(reason ? { reason } : {}),
+    ...(note ? { note } : {}),
+  });
+}
+
+export function recordDecision(domain, { method, available, reason }) {
+  if (!settings.enabled) return;
+  pending.push({ at: new Date().toISOString(), domain, kind: 'decision', method, available, ...(reason ? { reason } : {}) });
+}
+
+export function recordVerdict(domain, { confidence, verifiedBy }) {
+  if (!settings.enabled) return;
+  pending.push({ at: new Date().toISOString(), domain, kind: 'verdict', confidence, verifiedBy });
+}
+
+async function rotate() {
+  for (let i = settings.maxFiles - 1; i > 0; i--) {
+    await rename(logFile(i - 1), logFile(i)).catch(() => {}); // replaces the oldest
+  }
+}
+
+// Appends what's been recorded since the last flush; writes never overlap
+export function flushEvidence() {
+  if (pending.length === 0) return writing;
+  const lines = pending.map(e => JSON.stringify(e)).join('\n') + '\n';
+  pending = [];
+  writing = writing.then(async () => {
+    await mkdir(logDir(), { recursive: true });
+    const size = await stat(logFile(0)).then(s => s.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(lines) > settings.maxFileBytes) await rotate();
+    await appendFile(logFile(0), lines);
+  }).catch(err => {
+    console.error(`  Evidence log write failed: ${err.message}`);
+  });
+  return writing;
+}
+
+// Every recorded event for these domains, oldest first
+export async function queryEvidence(domains) {
+  const wanted = new Set(domains);
+  const events = [];
+  for (let i = settings.maxFiles - 1; i >= 0; i--) {
+    let raw;
+    try {
+      raw = await readFile(logFile(i), 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        if (wanted.has(event.domain)) events.push(event);
+      } catch {
+        // a torn last line from a crash
+      }
+    }
+  }
+  return events;
+}
+
+// --- Replay: run recorded responses through the current parsers ---
+
+const PARSERS = {
+  epp: ({ status, payload }) => (status >= 200 && status < 300 ? parseEppEntry(JSON.parse(payload)) : null),
+  rdap: ({ status, payload }) => (status != null ? parseRdapResponse(status, payload ?? '') : null),
+  whois: ({ payload, registry }) => (payload != null ? parseWhoisResponse(payload, registry) : null),
+  dns: ({ payload }) => (payload != null ? parseDnsAnswer(JSON.parse(payload)) : null),
+};
+
+// What the parser makes of a recorded call today, or null when the call never got a response
+export function replayCall(event) {
+  const parse = PARSERS[event.provider];
+  if (!parse || event.payload?.endsWith('…[trimmed]')) return null;
+  try {
+    return parse(event);
+  } catch {
+    return null;
+  }
+}
+
+// A provider that answers from recorded calls instead of the network — for tests,
+// via registerProvider(name, () => createReplayProvider(name, events)). Events are
+// logged under the name asked for, providers get the ASCII form: both key by ASCII.
+export function createReplayProvider(name, events) {
+  const asciiOf = domain => toAscii(domain) ?? domain;
+  const latest = new Map();
+  for (const e of events) {
+    if (e.kind === 'call' && e.provider === name) latest.set(asciiOf(e.domain), e);
+  }
+  return {
+    name,
+    tlds: null,
+    batch: false,
+    timeoutMs: 0,
+    async check(domain) {
+      const event = latest.get(asciiOf(domain));
+      if (!event) return { method: name, available: null, reason: 'no recorded response' };
+      return replayCall(event) ?? { method: name, available: null, reason: event.reason ?? 'no response recorded' };
+    },
+  };
+}
@@ -0,0 +1,252 @@
+import { extname } from 'path';
+import { convert, formatMoney, getDisplayCurrency, parseMoney } from './currency.js';
+import { toUnicode } from './idn.js';
+
+// --- Export: found domains as files other tools (and people) can take ---
+// Filters mirror the dashboard's: TLD, strategy, status, max price (display
+// currency), top N by score and a search, plus premium and a checkedAt range.
+// CSV and the plain list lead with the ASCII name, which is what registrar
+// bulk-register forms expect; the reports add per-TLD and per-strategy breakdowns.
+
+export const FORMATS = {
+  json: 'JSON array (everything found.json holds)',
+  jsonl: 'JSON Lines, one domain per line',
+  csv: 'CSV with a header row',
+  txt: 'Plain domain list, for registrar bulk forms',
+  md: 'Markdown report',
+  html: 'HTML report',
+};
+
+const EXTENSIONS = { '.json': 'json', '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv', '.txt': 'txt', '.md': 'md', '.html': 'html', '.htm': 'html' };
+
+// --format wins; otherwise the output file's extension decides, and stdout gets JSON
+export function resolveFormat(format, output) {
+  if (format) {
+    if (!FORMATS[format]) throw new Error(`Unknown export format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    return format;
+  }
+  if (!output) return 'json';
+  const byExtension = EXTENSIONS[extname(output).toLowerCase()];
+  if (!byExtension) throw new Error(`Can't tell the format from "${output}" — pass --format (${Object.keys(FORMATS).join(', ')})`);
+  return byExtension;
+}
+
+function tldOf(entry) {
+  return entry.tld ?? '.' + entry.domain.split('.').pop();
+}
+
+function priceOf(entry) {
+  const price = parseMoney(entry.price);
+  return convert(price) ?? price;
+}
+
+// Date-only bounds cover the whole day: --until 2026-05-01 includes that day's finds
+function parseBound(value, name, endOfDay = false) {
+  if (value == null) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time)) throw new Error(`Invalid ${name} "${value}" (expected a date like 2026-05-01)`);
+  return dateOnly && endOfDay ? time + 86400000 - 1 : time;
+}
+
+// { tlds, strategies, status, maxPrice, premium, since, until, search, top } — all optional
+export function filterFound(found, filters = {}) {
+  const { tlds, strategies, status = 'all', maxPrice = null, premium = 'include', search, top } = filters;
+  const since = parseBound(filters.since, 'since date');
+  const until = parseBound(filters.until, 'until date', true);
+  const wantedTlds = tlds?.map(t => (t.startsWith('.') ? t : '.' + t).toLowerCase());
+  const needle = search?.toLowerCase();
+
+  let entries = found.filter(entry => {
+    if (wantedTlds && !wantedTlds.includes(tldOf(entry))) return false;
+    if (strategies && !strategies.includes(entry.strategy)) return false;
+    if (status !== 'all' && (entry.status === 'lost' ? 'lost' : 'available') !== status) return false;
+    if (maxPrice != null && !((priceOf(entry)?.amount ?? Infinity) <= maxPrice)) return false;
+    if (premium === 'only' && !entry.premium) return false;
+    if (premium === 'exclude' && entry.premium) return false;
+    const at = Date.parse(entry.checkedAt ?? '');
+    if (since != null && !(at >= since)) return false;
+    if (until != null && !(at <= until)) return false;
+    if (needle && !entry.domain.includes(needle) && !toUnicode(entry.domain).includes(needle)) return false;
+    return true;
+  });
+
+  // Top N always means best by score, as on the dashboard
+  if (top) {
+    const best = new Set([...entries].sort((a, b) => (b.score ?? -1) - (a.score ?? -1)).slice(0, top));
+    entries = entries.filter(e => best.has(e));
+  }
+  return entries;
+}
+
+// --- Row formats ---
+
+const CSV_COLUMNS = ['domain', 'unicode', 'tld', 'strategy', 'price', 'currency', 'renew_price', 'premium', 'score', 'status', 'confidence', 'checked_at', 'last_verified_at'];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function csvRow(entry) {
+  const price = priceOf(entry);
+  const renew = convert(parseMoney(entry.renewPrice)) ?? parseMoney(entry.renewPrice);
+  return [
+    entry.domain,
+    toUnicode(entry.domain),
+    tldOf(entry),
+    entry.strategy,
+    price?.amount,
+    price?.currency,
+    renew?.amount,
+    entry.premium ? 'yes' : 'no',
+    entry.score,
+    entry.status ?? 'available',
+    entry.confidence,
+    entry.checkedAt,
+    entry.lastVerifiedAt,
+  ];
+}
+
+// RFC 4180: CRLF line ends, fields quoted only when they need it
+export function toCsv(entries) {
+  return [CSV_COLUMNS, ...entries.map(csvRow)].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toJsonl(entries) {
+  return entries.map(e => JSON.stringify(e) + '\n').join('');
+}
+
+export function toDomainList(entries) {
+  return entries.map(e => e.domain + '\n').join('');
+}
+
+// --- Reports ---
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function groupRows(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  const currency = getDisplayCurrency();
+  const asMoney = amount => (amount == null ? '-' : formatMoney({ amount: Math.round(amount * 100) / 100, currency }));
+  return [...groups]
+    .sort((a, b) => b[1].length - a[1].length || (a[0] < b[0] ? -1 : 1))
+    .map(([key, group]) => {
+      const prices = group.map(priceOf).filter(p => p?.currency === currency).map(p => p.amount);
+      const scores = group.map(e => e.score).filter(s => s != null);
+      return [
+        key,
+        String(group.length),
+        String(group.filter(e => e.premium).length),
+        asMoney(prices.length > 0 ? Math.min(...prices) : null),
+        asMoney(median(prices)),
+        scores.length > 0 ? String(Math.max(...scores)) : '-',
+      ];
+    });
+}
+
+// Title, summary lines and tables, shared by the Markdown and HTML renderers
+function buildReport(entries, { filters = {}, generatedAt = new Date() } = {}) {
+  const applied = Object.entries(filters)
+    .filter(([, v]) => v != null && !(Array.isArray(v) && v.length === 0))
+    .map(([k, v]) => `${k} ${Array.isArray(v) ? v.join(', ') : v}`);
+  const breakdownColumns = ['Finds', 'Premium', 'Cheapest', 'Median', 'Best score'];
+  return {
+    title: 'Domain Radar — found domains',
+    summary: [
+      `${entries.length} domain${entries.length === 1 ? '' : 's'}, generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+      `Filters: ${applied.length > 0 ? applied.join('; ') : 'none'}`,
+    ],
+    tables: [
+      { title: 'By TLD', columns: ['TLD', ...breakdownColumns], rows: groupRows(entries, tldOf) },
+      { title: 'By strategy', columns: ['Strategy', ...breakdownColumns], rows: groupRows(entries, e => e.strategy ?? 'unknown') },
+      {
+        title: 'Domains',
+        columns: ['Domain', 'Price', 'Strategy', 'Score', 'Checked'],
+        rows: [...entries].sort((a, b) => (b.score ?? -1) - (a.score ?? -1)).map(e => [
+          toUnicode(e.domain) + (e.premium ? ' (premium)' : '') + (e.status === 'lost' ? ' (lost)' : ''),
+          formatMoney(priceOf(e)),
+          e.strategy ?? '',
+          e.score != null ? String(e.score) : '-',
+          e.checkedAt?.slice(0, 10) ?? '-',
+        ]),
+      },
+    ],
+  };
+}
+
+function mdCell(text) {
+  return text.replaceAll('|', '\\|');
+}
+
+export function toMarkdown(entries, options) {
+  const { title, summary, tables } = buildReport(entries, options);
+  const lines = [`# ${title}`, '', ...summary.map(s => `- ${s}`)];
+  for (const { title: heading, columns, rows } of tables) {
+    lines.push('', `## ${heading}`, '');
+    if (rows.length === 0) {
+      lines.push('_None._');
+      continue;
+    }
+    lines.push(`| ${columns.join(' | ')} |`, `|${columns.map(() => ' --- ').join('|')}|`);
+    for (const row of rows) lines.push(`| ${row.map(mdCell).join(' | ')} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+export function toHtml(entries, options) {
+  const { title, summary, tables } = buildReport(entries, options);
+  const sections = tables.map(({ title: heading, columns, rows }) => {
+    const body = rows.length === 0
+      ? '<p><em>None.</em></p>'
+      : `<table>\n<thead><tr>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>\n<tbody>\n${
+        rows.map(r => `<tr>${r.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+      }\n</tbody>\n</table>`;
+    return `<h2>${escapeHtml(heading)}</h2>\n${body}`;
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #1a1a1a; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: 4px 10px; border-bottom: 1px solid #ddd; }
+  th { background: #f4f4f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>${summary.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// The file contents for a format; `options` go to the reports
+export function renderExport(entries, format, options = {}) {
+  switch (format) {
+    case 'csv': return toCsv(entries);
+    case 'jsonl': return toJsonl(entries);
+    case 'txt': return toDomainList(entries);
+    case 'md': return toMarkdown(entries, options);
+    case 'html': return toHtml(entries, options);
+    default: return JSON.stringify(entries, null, 2) + '\n';
+  }
+}
@@ -0,0 +1,84 @@
+import { readFile } from 'fs/promises';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import { pronounceability, maxConsonantRun } from './scoring.js';
+import { createIdnRules, foldLabel, toUnicode } from './idn.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// --- Quality gate: drop junk names before they cost a network call ---
+// The blocklist applies to every label. Banned clusters, pronounceability and
+// consonant runs are skipped for exemptStrategies (your own keywords and names)
+// and for labels under minLabelLength (2- and 3-letter names are valuable
+// whether or not you can say them).
+// IDN rules (src/idn.js) always apply, even with the gate switched off; the
+// other checks see Unicode labels with their diacritics folded away.
+// Blocklist entries match anywhere in a label, since generated names run words
+// together ("applestore"). A `!word` entry allows an innocent word that contains
+// a blocked one ("!pineapple"): it is masked out of the label before matching.
+
+export const DEFAULTS = {
+  enabled: true,
+  minLabelLength: 4,
+  minPronounceability: 0.3,
+  maxConsonantRun: 3,
+  bannedClusters: ['xq', 'qx', 'qz', 'zq', 'jq', 'qj', 'vq', 'qv', 'wq', 'xj', 'jx', 'zx', 'xz', 'vx', 'xv', 'jz', 'zj', 'fq', 'qg', 'kq'],
+  blocklist: [],
+  blocklistFile: 'data/blocklist.txt',
+  exemptStrategies: [],
+};
+
+async function loadBlocklistFile(path) {
+  if (!path) return [];
+  try {
+    const raw = await readFile(isAbsolute(path) ? path : join(ROOT, path), 'utf8');
+    return raw.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  } catch {
+    return [];
+  }
+}
+
+// { blocked, allowed } word lists; `*` wildcards from older lists are ignored
+function compileBlocklist(entries) {
+  const blocked = [];
+  const allowed = [];
+  for (const entry of entries) {
+    const word = entry.toLowerCase().replaceAll('*', '');
+    if (word.startsWith('!')) allowed.push(word.slice(1));
+    else if (word) blocked.push(word);
+  }
+  // Longest first, so "!snapple" is masked before a shorter allowed word could split it
+  allowed.sort((a, b) => b.length - a.length);
+  return { blocked, allowed };
+}
+
+// Returns (domain, strategy) => null when the name passes, or a short rejection reason
+export async function createQualityGate(options = {}, idnOptions = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const idnReason = createIdnRules(idnOptions);
+  if (!opts.enabled) return domain => idnReason(domain);
+
+  const blocklist = compileBlocklist([...opts.blocklist, ...await loadBlocklistFile(opts.blocklistFile)]);
+  const clusters = opts.bannedClusters.map(c => c.toLowerCase());
+
+  return function check(domain, strategy) {
+    const reason = idnReason(domain);
+    if (reason) return reason;
+
+    const unicode = toUnicode(domain).toLowerCase();
+    const label = foldLabel(unicode.slice(0, unicode.indexOf('.')));
+
+    const masked = blocklist.allowed.reduce((text, word) => text.replaceAll(word, '-'), label);
+    const blocked = blocklist.blocked.find(word => masked.includes(word));
+    if (blocked) return `blocklisted "${blocked}"`;
+    if (opts.exemptStrategies.includes(strategy) || label.length < opts.minLabelLength) return null;
+
+    const cluster = clusters.find(c => label.includes(c));
+    if (cluster) return `banned cluster "${cluster}"`;
+
+    if (maxConsonantRun(label) > opts.maxConsonantRun) return 'consonant run';
+    if (pronounceability(label) < opts.minPronounceability) return 'unpronounceable';
+    return null;
+  };
+}
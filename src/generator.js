@@ -1,31 +1,78 @@
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, isAbsolute } from 'path';
+import { DEFAULT_RULES, toAscii } from './idn.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
 
 let wordList = null;
 
-async function loadWords() {
+export async function loadWords() {
   if (wordList) return wordList;
   const raw = await readFile(join(__dirname, '..', 'data', 'words.json'), 'utf8');
   wordList = JSON.parse(raw);
   return wordList;
 }
 
-function shuffle(arr) {
+// --- Seeded randomness: same seed, same order, every run and every shard ---
+
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// --- Sharding: a stable hash splits the whole candidate space into N disjoint slices ---
+
+// `--shard 2/4` -> { index: 1, count: 4 }
+export function parseShard(spec) {
+  const m = /^(\d+)\/(\d+)$/.exec(spec ?? '');
+  const n = m ? parseInt(m[1], 10) : 0;
+  const count = m ? parseInt(m[2], 10) : 0;
+  if (!m || count < 1 || n < 1 || n > count) {
+    throw new Error(`Invalid shard "${spec}" (expected i/N with 1 <= i <= N)`);
+  }
+  return { index: n - 1, count, spec };
+}
+
+export function inShard(domain, shard) {
+  if (!shard) return true;
+  // FNV-1a plus a murmur finalizer so the low bits spread evenly
+  let h = hashString(domain);
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h = (h ^ (h >>> 16)) >>> 0;
+  return h % shard.count === shard.index;
+}
+
+// mulberry32 — small, fast, good enough for shuffling
+export function createRng(seed) {
+  let a = hashString(String(seed));
+  return function rng() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr, rng = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
 // Strategy 1: Short & catchy words + TLDs
-export function* shortAndCatchy(tlds) {
-  const words = shuffle(wordList ?? []);
-  const shuffledTlds = shuffle(tlds);
+export function* shortAndCatchy(tlds, rng = Math.random) {
+  const words = shuffle(wordList ?? [], rng);
+  const shuffledTlds = shuffle(tlds, rng);
   for (const word of words) {
     for (const tld of shuffledTlds) {
       yield `${word}${tld}`;
@@ -37,20 +84,20 @@ export function* shortAndCatchy(tlds) {
 const PREFIXES = ['get', 'try', 'use', 'hey', 'my', 'go', 'the', 'on', 'to', 'we', 'so', 'its', 'run', 'ask', 'no', 'all', 'be', 'do', 'hi', 'oh', 'yo', 'is', 'by', 'up', 'one', 'new', 'hot', 'top', 'big', 'raw', 'pro', 'sub', 'pre', 'neo', 're'];
 const SUFFIXES = ['hq', 'app', 'dev', 'lab', 'hub', 'ly', 'ify', 'up', 'now', 'ai', 'io', 'os', 'run', 'go', 'pro', 'box', 'kit', 'ops', 'it', 'er', 'ed', 'fy', 'sy', 'zy', 'on', 'an', 'in', 'en', 'x', 'z', 'co', 'me', 'to', 'db', 'ui', 'api', 'cli', 'net', 'web', 'log', 'bot', 'bit', 'way', 'max', 'pod', 'zen'];
 
-export function* keywordBased(keywords, tlds) {
-  const shuffledKeywords = shuffle(keywords);
-  const shuffledTlds = shuffle(tlds);
+export function* keywordBased(keywords, tlds, rng = Math.random) {
+  const shuffledKeywords = shuffle(keywords, rng);
+  const shuffledTlds = shuffle(tlds, rng);
 
   for (const keyword of shuffledKeywords) {
     for (const tld of shuffledTlds) {
       yield `${keyword}${tld}`;
     }
-    for (const prefix of shuffle(PREFIXES)) {
+    for (const prefix of shuffle(PREFIXES, rng)) {
       for (const tld of shuffledTlds) {
         yield `${prefix}${keyword}${tld}`;
       }
     }
-    for (const suffix of shuffle(SUFFIXES)) {
+    for (const suffix of shuffle(SUFFIXES, rng)) {
       for (const tld of shuffledTlds) {
         yield `${keyword}${suffix}${tld}`;
       }
@@ -62,20 +109,20 @@ export function* keywordBased(keywords, tlds) {
 const NAME_PREFIXES = ['hey', 'ask', 'get', 'hi', 'by', 'its', 'im', 'the', 'yo', 'mr', 'dr', 'go', 'oh', 'am', 'be', 'do', 'my', 'so', 'we', 'not', 'for', 'sir', 'pro', 'hey'];
 const NAME_SUFFIXES = ['hq', 'dev', 'lab', 'code', 'builds', 'works', 'tech', 'hub', 'ops', 'ai', 'app', 'run', 'pro', 'craft', 'zone', 'stack', 'verse', 'space', 'net', 'web', 'log', 'box', 'bot', 'land', 'camp', 'base', 'core', 'lite', 'max', 'now', 'xyz', 'io'];
 
-export function* personalNames(names, tlds) {
-  const shuffledNames = shuffle(names);
-  const shuffledTlds = shuffle(tlds);
+export function* personalNames(names, tlds, rng = Math.random) {
+  const shuffledNames = shuffle(names, rng);
+  const shuffledTlds = shuffle(tlds, rng);
 
   for (const name of shuffledNames) {
     for (const tld of shuffledTlds) {
       yield `${name}${tld}`;
     }
-    for (const prefix of shuffle(NAME_PREFIXES)) {
+    for (const prefix of shuffle(NAME_PREFIXES, rng)) {
       for (const tld of shuffledTlds) {
         yield `${prefix}${name}${tld}`;
       }
     }
-    for (const suffix of shuffle(NAME_SUFFIXES)) {
+    for (const suffix of shuffle(NAME_SUFFIXES, rng)) {
       for (const tld of shuffledTlds) {
         yield `${name}${suffix}${tld}`;
       }
@@ -86,7 +133,7 @@ export function* personalNames(names, tlds) {
 // Strategy 4: Short combos — 3-letter on all TLDs + 4-letter on valuable TLDs
 const CHARS = 'abcdefghijklmnopqrstuvwxyz';
 
-export async function* shortCombos(tlds) {
+export async function* shortCombos(tlds, rng = Math.random) {
   // 3-letter combos on ALL TLDs (17,576 × TLDs)
   const threeLetterCombos = [];
   for (let a = 0; a < 26; a++) {
@@ -97,8 +144,8 @@ export async function* shortCombos(tlds) {
     }
   }
 
-  const shuffled3 = shuffle(threeLetterCombos);
-  const shuffledTlds = shuffle(tlds);
+  const shuffled3 = shuffle(threeLetterCombos, rng);
+  const shuffledTlds = shuffle(tlds, rng);
   for (const combo of shuffled3) {
     for (const tld of shuffledTlds) {
       yield `${combo}${tld}`;
@@ -106,7 +153,7 @@ export async function* shortCombos(tlds) {
   }
 
   // 4-letter combos on cheap TLDs (456,976 × TLDs = millions of domains)
-  const cheapTlds = shuffle(tlds.filter(t => ['.dev', '.xyz', '.cool', '.lol', '.sh'].includes(t)));
+  const cheapTlds = shuffle(tlds.filter(t => ['.dev', '.xyz', '.cool', '.lol', '.sh'].includes(t)), rng);
   if (cheapTlds.length === 0) return;
 
   const fourLetterCombos = [];
@@ -120,7 +167,7 @@ export async function* shortCombos(tlds) {
     }
   }
 
-  const shuffled4 = shuffle(fourLetterCombos);
+  const shuffled4 = shuffle(fourLetterCombos, rng);
   for (const combo of shuffled4) {
     for (const tld of cheapTlds) {
       yield `${combo}${tld}`;
@@ -129,10 +176,10 @@ export async function* shortCombos(tlds) {
 }
 
 // Strategy 5: Word combinations — word+word mashups
-export function* wordCombos(tlds) {
-  const words = shuffle(wordList ?? []);
+export function* wordCombos(tlds, rng = Math.random) {
+  const words = shuffle(wordList ?? [], rng);
   const short = words.filter(w => w.length <= 4);
-  const shuffledTlds = shuffle(tlds);
+  const shuffledTlds = shuffle(tlds, rng);
 
   // Pick random pairs of short words
   const pairs = [];
@@ -144,7 +191,7 @@ export function* wordCombos(tlds) {
     }
   }
 
-  const shuffledPairs = shuffle(pairs);
+  const shuffledPairs = shuffle(pairs, rng);
   for (const combo of shuffledPairs) {
     for (const tld of shuffledTlds) {
       yield `${combo}${tld}`;
@@ -153,7 +200,7 @@ export function* wordCombos(tlds) {
 }
 
 // Strategy 6: 2-letter domains — only 676 per TLD, worth checking all
-export function* twoLetterDomains(tlds) {
+export function* twoLetterDomains(tlds, rng = Math.random) {
   const combos = [];
   for (let a = 0; a < 26; a++) {
     for (let b = 0; b < 26; b++) {
@@ -161,8 +208,8 @@ export function* twoLetterDomains(tlds) {
     }
   }
 
-  const shuffled = shuffle(combos);
-  const shuffledTlds = shuffle(tlds);
+  const shuffled = shuffle(combos, rng);
+  const shuffledTlds = shuffle(tlds, rng);
   for (const combo of shuffled) {
     for (const tld of shuffledTlds) {
       yield `${combo}${tld}`;
@@ -171,13 +218,13 @@ export function* twoLetterDomains(tlds) {
 }
 
 // Strategy 7: Word + number combos (word1, word2, word3, etc.)
-export function* wordNumbers(tlds) {
-  const words = shuffle(wordList ?? []).filter(w => w.length <= 5);
+export function* wordNumbers(tlds, rng = Math.random) {
+  const words = shuffle(wordList ?? [], rng).filter(w => w.length <= 5);
   const numbers = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '00', '01', '10', '11', '42', '69', '99', '007', '101', '123', '256', '404', '420', '500', '666', '777', '888', '999'];
-  const shuffledTlds = shuffle(tlds);
+  const shuffledTlds = shuffle(tlds, rng);
 
   for (const word of words) {
-    for (const num of shuffle(numbers)) {
+    for (const num of shuffle(numbers, rng)) {
       for (const tld of shuffledTlds) {
         yield `${word}${num}${tld}`;
       }
@@ -185,45 +232,289 @@ export function* wordNumbers(tlds) {
   }
 }
 
-// Main generator that cycles through all strategies
-export async function* generateDomains(config) {
-  await loadWords();
+// Strategy 8: IDN words — umlaut spellings of words, keywords and names on TLDs that take them
+const UMLAUTS = [['ae', 'ä'], ['oe', 'ö'], ['ue', 'ü'], ['ss', 'ß'], ['a', 'ä'], ['o', 'ö'], ['u', 'ü']];
 
-  const { keywords, personalNames: names, tlds, strategies } = config;
+// Each single substitution: mueller -> müller, bar -> bär
+function umlautVariants(word) {
+  const variants = new Set();
+  for (const [from, to] of UMLAUTS) {
+    for (let i = word.indexOf(from); i !== -1; i = word.indexOf(from, i + 1)) {
+      variants.add(word.slice(0, i) + to + word.slice(i + from.length));
+    }
+  }
+  return [...variants];
+}
+
+export function* idnWords(words, tlds, rng = Math.random) {
+  const shuffledTlds = shuffle(tlds, rng);
+  for (const word of shuffle(words, rng)) {
+    for (const variant of umlautVariants(word)) {
+      for (const tld of shuffledTlds) {
+        yield `${variant}${tld}`;
+      }
+    }
+  }
+}
+
+// Strategy 9: 3-character combos with digits and hyphens (all-letter ones are Short Combos)
+const EDGE_CHARS = [...CHARS, ...'0123456789'];
+
+export function* alnumCombos(tlds, rng = Math.random) {
+  const shuffledTlds = shuffle(tlds, rng);
+  for (const combo of product([EDGE_CHARS, [...EDGE_CHARS, '-'], EDGE_CHARS], rng)) {
+    if (/^[a-z]+$/.test(combo)) continue;
+    for (const tld of shuffledTlds) {
+      yield `${combo}${tld}`;
+    }
+  }
+}
+
+// --- Custom strategies from config.customStrategies ---
+// Each entry compiles to one or more templates; a template is a list of slots
+// (lists of strings) whose cartesian product is walked lazily in shuffled order.
+//   { name, pattern: '{prefix}{keyword}{tld}', lists: { prefix: [...] } }
+//   { name, shape: 'CVCV' }           C consonant, V vowel, L letter, D digit
+//   { name, words | wordsFile, prefixes?, suffixes? }  word, prefix+word, word+suffix
+// Placeholders: {tld} {keyword} {name} {word} {prefix} {suffix}, any key of
+// `lists`, and inline shapes like {CVC}. A pattern without {tld} gets it appended.
+
+const SHAPE_LETTERS = {
+  C: 'bcdfghjklmnpqrstvwxz',
+  V: 'aeiouy',
+  L: CHARS,
+  D: '0123456789',
+};
+
+export const PLACEHOLDERS = ['tld', 'keyword', 'name', 'word', 'prefix', 'suffix'];
+
+async function loadListFile(path) {
+  const raw = await readFile(isAbsolute(path) ? path : join(ROOT, path), 'utf8');
+  return raw.split('\n').map(l => l.trim().toLowerCase()).filter(l => l && !l.startsWith('#'));
+}
+
+function parseTemplate(pattern) {
+  const parts = pattern.split(/(\{[^}]+\})/).filter(Boolean);
+  const tokens = parts.map(p => (p.startsWith('{') ? { key: p.slice(1, -1) } : { literal: p }));
+  if (!tokens.some(t => t.key === 'tld')) tokens.push({ key: 'tld' });
+  return tokens;
+}
+
+function slotsFor(tokens, sources, strategyName) {
+  return tokens.flatMap(t => {
+    if (t.literal) return [[t.literal]];
+    if (/^[CVLD]+$/.test(t.key)) return [...t.key].map(c => [...SHAPE_LETTERS[c]]);
+    const values = sources[t.key];
+    if (!values) throw new Error(`Strategy "${strategyName}" uses unknown placeholder {${t.key}}`);
+    return [values];
+  });
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
 
-  const generators = [];
+// Visits every combination once. Stepping through the index space by a stride
+// coprime to its size spreads consecutive names out instead of varying only the last slot.
+function* product(slots, rng) {
+  const lists = slots.map(slot => shuffle(slot, rng));
+  const total = lists.reduce((n, l) => n * l.length, 1);
+  if (total === 0) return;
+
+  let stride = Math.max(1, Math.floor(rng() * total));
+  while (gcd(stride, total) !== 1) stride++;
+  let index = Math.floor(rng() * total);
+
+  for (let i = 0; i < total; i++) {
+    let rest = index;
+    const parts = new Array(lists.length);
+    for (let k = lists.length - 1; k >= 0; k--) {
+      parts[k] = lists[k][rest % lists[k].length];
+      rest = Math.floor(rest / lists[k].length);
+    }
+    yield parts.join('');
+    index = (index + stride) % total;
+  }
+}
+
+// Resolves word files and returns strategies in the same { name, inputs, create } form as the built-ins
+export async function compileCustomStrategies(config) {
+  const compiled = [];
+  for (const spec of config.customStrategies ?? []) {
+    const words = spec.wordsFile ? await loadListFile(spec.wordsFile) : spec.words;
+    const sources = {
+      tld: spec.tlds ?? config.tlds,
+      keyword: config.keywords,
+      name: config.personalNames,
+      word: words ?? wordList ?? [],
+      prefix: spec.prefixes ?? PREFIXES,
+      suffix: spec.suffixes ?? SUFFIXES,
+      ...spec.lists,
+    };
+
+    let patterns;
+    if (spec.pattern) patterns = [spec.pattern];
+    else if (spec.shape) patterns = [`{${spec.shape}}`];
+    else {
+      patterns = ['{word}'];
+      if (spec.prefixes) patterns.push('{prefix}{word}');
+      if (spec.suffixes) patterns.push('{word}{suffix}');
+    }
+    const templates = patterns.map(p => slotsFor(parseTemplate(p), sources, spec.name));
+
+    compiled.push({
+      name: spec.name,
+      weight: spec.weight ?? 1,
+      inputs: [patterns, templates],
+      create: function* (rng) {
+        for (const slots of templates) yield* product(slots, rng);
+      },
+    });
+  }
+  return compiled;
+}
+
+// Strategy definitions. `inputs` feed the fingerprint, so a saved cursor is
+// only reused while the strategy would still produce the same sequence.
+function buildStrategies(config, custom = []) {
+  const { keywords, personalNames: names, tlds, strategies } = config;
+  const personalLabel = config.personalStrategyName ?? 'Alex-Themed';
+  const words = wordList ?? [];
+  const list = [];
 
   // Always include 2-letter (tiny search space, high value)
-  generators.push({ name: '2-Letter', gen: twoLetterDomains(tlds) });
+  list.push({ name: '2-Letter', inputs: [tlds], create: rng => twoLetterDomains(tlds, rng) });
 
   if (strategies.includes('short')) {
-    generators.push({ name: 'Short & Catchy', gen: shortAndCatchy(tlds) });
+    list.push({ name: 'Short & Catchy', inputs: [tlds, words], create: rng => shortAndCatchy(tlds, rng) });
   }
   if (strategies.includes('keyword')) {
-    generators.push({ name: 'Keyword-Based', gen: keywordBased(keywords, tlds) });
+    list.push({ name: 'Keyword-Based', inputs: [keywords, tlds], create: rng => keywordBased(keywords, tlds, rng) });
   }
   if (strategies.includes('personal')) {
-    generators.push({ name: 'Alex-Themed', gen: personalNames(names, tlds) });
+    list.push({ name: personalLabel, inputs: [names, tlds], create: rng => personalNames(names, tlds, rng) });
   }
-  if (strategies.includes('expired')) {
-    generators.push({ name: 'Short Combos', gen: shortCombos(tlds) });
+  // 'expired' is the old name for this strategy — drop-catching lives in the watchlist now
+  if (strategies.includes('combos') || strategies.includes('expired')) {
+    list.push({ name: 'Short Combos', inputs: [tlds], create: rng => shortCombos(tlds, rng) });
   }
 
-  // New strategies — always enabled
-  generators.push({ name: 'Word Combos', gen: wordCombos(tlds) });
-  generators.push({ name: 'Word+Number', gen: wordNumbers(tlds) });
+  list.push({ name: 'Word Combos', inputs: [tlds, words], create: rng => wordCombos(tlds, rng) });
+  list.push({ name: 'Word+Number', inputs: [tlds, words], create: rng => wordNumbers(tlds, rng) });
 
-  // Round-robin through strategies
-  let activeGens = [...generators];
-  while (activeGens.length > 0) {
-    const nextActive = [];
-    for (const { name, gen } of activeGens) {
-      const result = await gen.next();
-      if (!result.done) {
-        yield { domain: result.value, strategy: name };
-        nextActive.push({ name, gen });
-      }
+  // Only TLDs with IDN rules; the quality gate still drops letters a TLD doesn't take
+  if (strategies.includes('idn')) {
+    const rules = { ...DEFAULT_RULES, ...config.idn?.rules };
+    const idnTlds = tlds.filter(tld => rules[tld]);
+    const idnSource = [...new Set([...keywords, ...names, ...words])];
+    if (idnTlds.length > 0) {
+      list.push({ name: 'IDN Words', inputs: [idnTlds, idnSource], create: rng => idnWords(idnSource, idnTlds, rng) });
+    }
+  }
+  if (strategies.includes('alnum')) {
+    list.push({ name: 'Alnum Combos', inputs: [tlds], create: rng => alnumCombos(tlds, rng) });
+  }
+
+  // Any strategy, built-in or custom, can be switched off by name
+  const settings = config.scheduling?.strategies ?? {};
+  return [...list, ...custom].filter(({ name }) => settings[name]?.enabled !== false);
+}
+
+// --- Scheduling: how the generator splits its output between strategies ---
+
+// Weights are re-read this often, so adaptive runs shift budget while they go
+const REWEIGH_EVERY = 1000;
+
+// Configured weight, scaled by how much better (or worse) than average a strategy
+// has been at finding names. A strategy's rate is pulled towards the overall mean
+// until it has about minSamples checks of its own, so one lucky find doesn't swing it.
+export function strategyWeights(strategies, scheduling = {}, hitRates = {}) {
+  const { adaptive = false, minSamples = 500, minFactor = 0.1, maxFactor = 10, strategies: overrides = {} } = scheduling;
+
+  let checked = 0;
+  let found = 0;
+  for (const { name } of strategies) {
+    checked += hitRates[name]?.checked ?? 0;
+    found += hitRates[name]?.found ?? 0;
+  }
+  const mean = checked > 0 ? found / checked : 0;
+
+  const weights = {};
+  for (const { name, weight = 1 } of strategies) {
+    let w = overrides[name]?.weight ?? weight;
+    if (adaptive && mean > 0) {
+      const hits = hitRates[name] ?? { checked: 0, found: 0 };
+      const samples = hits.checked + minSamples;
+      // No checks and no damping: nothing to judge it by yet
+      const rate = samples > 0 ? (hits.found + minSamples * mean) / samples : mean;
+      w *= Math.min(maxFactor, Math.max(minFactor, rate / mean));
+    }
+    weights[name] = w;
+  }
+  return weights;
+}
+
+function fingerprint(seed, name, inputs) {
+  return hashString(JSON.stringify([seed, name, inputs])).toString(16).padStart(8, '0');
+}
+
+// Main generator that cycles through all strategies.
+// With a seed, every strategy gets its own deterministic order, and `positions`
+// (fingerprint -> items already consumed) lets a run resume where the last stopped.
+// Each item carries { position, fingerprint } so the caller can persist progress.
+// With a shard, only that slice is yielded; positions still count every item.
+// `hitRates` (strategy -> { checked, found }) is read live for adaptive weights.
+export async function* generateDomains(config, { seed = null, positions = {}, shard = null, hitRates = {} } = {}) {
+  await loadWords();
+  const custom = await compileCustomStrategies(config);
+
+  const generators = buildStrategies(config, custom).map(({ name, inputs, create, weight = 1 }) => {
+    const print = fingerprint(seed, name, [inputs, shard?.spec ?? null]);
+    return {
+      name,
+      baseWeight: weight,
+      weight,
+      current: 0,
+      fingerprint: print,
+      gen: create(seed == null ? Math.random : createRng(`${seed}:${name}`)),
+      position: 0,
+      start: seed == null ? 0 : (positions[print] ?? 0),
+    };
+  });
+
+  // Fast-forward past what earlier runs already consumed — no lookups, just iteration
+  for (const g of generators) {
+    while (g.position < g.start && !(await g.gen.next()).done) g.position++;
+  }
+
+  // Smooth weighted round-robin: each pick goes to the strategy furthest behind its share
+  let active = [...generators];
+  for (let picks = 0; active.length > 0; picks++) {
+    if (picks % REWEIGH_EVERY === 0) {
+      const weights = strategyWeights(active.map(g => ({ name: g.name, weight: g.baseWeight })), config.scheduling, hitRates);
+      for (const g of active) g.weight = weights[g.name];
+    }
+
+    let total = 0;
+    let g = null;
+    for (const candidate of active) {
+      candidate.current += candidate.weight;
+      total += candidate.weight;
+      if (!g || candidate.current > g.current) g = candidate;
+    }
+    g.current -= total;
+
+    // Shards hash the ASCII form, the name retries and found.json store
+    let result = await g.gen.next();
+    while (!result.done && !inShard(toAscii(result.value) ?? result.value, shard)) {
+      g.position++;
+      result = await g.gen.next();
+    }
+    if (result.done) {
+      active = active.filter(a => a !== g);
+      continue;
     }
-    activeGens = nextActive;
+    yield { domain: result.value, strategy: g.name, position: g.position++, fingerprint: g.fingerprint };
   }
 }
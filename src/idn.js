@@ -0,0 +1,136 @@
+import { domainToASCII, domainToUnicode } from 'url';
+
+// --- Internationalized domain names ---
+// Names are stored and checked in their ASCII (punycode) form, which is what
+// registries and providers expect, and shown in Unicode. Before a Unicode label
+// costs a lookup it must fit the TLD's registry rules (which scripts, or which
+// exact characters, it accepts), stay within one script, and not be a
+// lookalike of a plain ASCII name — browsers show those as xn--, and nobody
+// should pay for a name that only exists to be confused with another.
+
+// Per-TLD rules: `scripts` the registry accepts, optionally narrowed to an exact
+// set of `chars`. TLDs without a rule take ASCII only. config.idn.rules adds to
+// or replaces these; `false` switches IDNs off for a TLD.
+const GERMAN_LATIN = 'áàăâåäãąāæćĉčċçďđéèĕêěëėęēğĝġģĥħíìĭîïĩįīıĵķĺľļłńňñņŋóòŏôöőõøōœĸŕřŗśŝšşťţŧúùŭûůüűũųūŵýŷÿźžżðþß';
+const WESTERN_LATIN = 'àáâãäåæçèéêëìíîïðñòóôõöøùúûüýþÿœšž';
+const MANY_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Arabic', 'Hebrew', 'Thai', 'Devanagari'];
+
+export const DEFAULT_RULES = {
+  '.de': { scripts: ['Latin'], chars: GERMAN_LATIN },
+  '.at': { scripts: ['Latin'], chars: WESTERN_LATIN },
+  '.ch': { scripts: ['Latin'], chars: WESTERN_LATIN },
+  '.eu': { scripts: ['Latin', 'Greek', 'Cyrillic'] },
+  '.com': { scripts: MANY_SCRIPTS },
+  '.net': { scripts: MANY_SCRIPTS },
+  '.org': { scripts: ['Latin', 'Cyrillic', 'Greek', 'Han', 'Hangul', 'Arabic'] },
+};
+
+export const SCRIPT_NAMES = [...MANY_SCRIPTS, 'Bopomofo', 'Armenian', 'Georgian', 'Tamil', 'Bengali'];
+
+const SCRIPTS = SCRIPT_NAMES.map(name => ({
+  name,
+  pattern: new RegExp(`\\p{Script=${name}}`, 'u'),
+}));
+
+// Script mixes a single language legitimately uses (UTS #39 "highly restrictive")
+const ALLOWED_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul'],
+];
+
+// Characters that render like an ASCII letter, from Unicode's confusables data
+const CONFUSABLES = {
+  // Cyrillic
+  а: 'a', в: 'b', е: 'e', һ: 'h', і: 'i', ј: 'j', к: 'k', ӏ: 'l', м: 'm', о: 'o', р: 'p', с: 'c',
+  ԛ: 'q', г: 'r', ѕ: 's', т: 't', ц: 'u', ѵ: 'v', ԝ: 'w', х: 'x', у: 'y', ԁ: 'd', ь: 'b', п: 'n',
+  // Greek
+  α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x', γ: 'y', ω: 'w',
+  // Latin lookalikes
+  ı: 'i', ɑ: 'a', ɡ: 'g', ɩ: 'i', ʏ: 'y', ɪ: 'i', ꮃ: 'w', ᴠ: 'v', ᴡ: 'w', ᴢ: 'z',
+};
+
+const ASCII_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// ASCII form of a name, or null when it can't be one
+export function toAscii(domain) {
+  const ascii = domainToASCII(domain.trim());
+  if (!ascii) return null;
+  const labels = ascii.split('.');
+  const ok = labels.every(l => ASCII_LABEL.test(l) && (l.slice(2, 4) !== '--' || l.startsWith('xn--')));
+  return ok ? ascii : null;
+}
+
+// Unicode form for display; ASCII names come back unchanged
+export function toUnicode(domain) {
+  return domain.includes('xn--') ? domainToUnicode(domain) || domain : domain;
+}
+
+export function isIdn(domain) {
+  return domain.split('.').some(l => l.startsWith('xn--')) || /[^\x00-\x7f]/.test(domain);
+}
+
+// Diacritics off, ß as ss — for scoring and the quality gate, which think in a-z
+export function foldLabel(label) {
+  return label.normalize('NFD').replace(/\p{M}/gu, '').replaceAll('ß', 'ss');
+}
+
+function scriptOf(ch) {
+  return SCRIPTS.find(s => s.pattern.test(ch))?.name ?? 'Unknown';
+}
+
+// Scripts of a label's letters; digits, hyphens and combining marks don't count
+export function scriptsOf(label) {
+  const scripts = new Set();
+  for (const ch of label) {
+    if (/[\p{L}]/u.test(ch)) scripts.add(/[a-z]/.test(ch) ? 'Latin' : scriptOf(ch));
+  }
+  return [...scripts];
+}
+
+// The plain ASCII name a label imitates, or null
+export function confusableWith(label) {
+  if (!/[^\x00-\x7f]/.test(label)) return null;
+  const skeleton = [...label].map(ch => CONFUSABLES[ch] ?? ch).join('');
+  return /^[\x00-\x7f]+$/.test(skeleton) ? skeleton : null;
+}
+
+export function createIdnRules({ rules = {}, allowMixedScripts = false } = {}) {
+  const table = { ...DEFAULT_RULES, ...rules };
+
+  // null when the name may be checked, otherwise the reason it may not
+  return function checkName(domain) {
+    const ascii = toAscii(domain);
+    if (!ascii) return 'invalid name';
+    if (!isIdn(ascii)) return null;
+
+    const unicode = toUnicode(ascii);
+    const dot = unicode.lastIndexOf('.');
+    const label = unicode.slice(0, dot);
+    const tld = unicode.slice(dot);
+
+    const rule = table[tld];
+    if (!rule) return `no IDNs on ${tld}`;
+    for (const ch of label) {
+      if (/[\x00-\x7f]/.test(ch)) continue;
+      if (!/[\p{L}\p{M}]/u.test(ch)) return `"${ch}" is not a letter`;
+      if (rule.chars ? !rule.chars.includes(ch) : !(rule.scripts ?? []).includes(scriptOf(ch))) {
+        return `"${ch}" not allowed on ${tld}`;
+      }
+    }
+
+    const scripts = scriptsOf(label);
+    if (!allowMixedScripts && scripts.length > 1 && !ALLOWED_MIXES.some(mix => scripts.every(s => mix.includes(s)))) {
+      return `mixed scripts (${scripts.join(', ')})`;
+    }
+    const lookalike = confusableWith(label);
+    if (lookalike) return `homograph of ${lookalike}${tld}`;
+    return null;
+  };
+}
+
+// Both forms when they differ, for output lines
+export function describeName(domain) {
+  const unicode = toUnicode(domain);
+  return unicode === domain ? domain : `${unicode} (${domain})`;
+}
@@ -1,75 +1,395 @@
+#!/usr/bin/env node
+import { randomBytes } from 'crypto';
 import { readFile } from 'fs/promises';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-import { checkDomainsBatch, warmupBootstrap } from './checker.js';
-import { generateDomains } from './generator.js';
-import { formatPrice, isAffordable } from './pricing.js';
+import { checkDomainsBatch, configureProviders, warmupProviders } from './checker.js';
+import { parseCli, printHelp } from './cli.js';
+import { loadConfig } from './config.js';
+import { generateDomains, parseShard, inShard } from './generator.js';
+import { getPrices, isAffordable, loadPrices, premiumOverBudget, quoteResult, yearlyCost, describeBasis } from './pricing.js';
+import { configureCurrency, formatMoney, money } from './currency.js';
+import { configureRateLimit, getEffectiveRate, nextConcurrency } from './ratelimit.js';
+import { recheckFound } from './recheck.js';
+import { notifyFinds } from './notify.js';
+import { meetsConfidence, verifyResults } from './verify.js';
+import { configureEvidence, queryEvidence, replayCall } from './evidence.js';
+import { createQualityGate } from './filter.js';
+import { describeName, isIdn, toAscii, toUnicode } from './idn.js';
+import { writeFileAtomic } from './store.js';
+import { filterFound, renderExport, resolveFormat } from './export.js';
+import { loadDictionary, scoreEntry } from './scoring.js';
+import { MANUAL_STRATEGY, classifyResult, describeOutcome, expandNames, parseNameList } from './manual.js';
+import {
+  loadWatchlist,
+  saveWatchlist,
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  runWatch,
+} from './watchlist.js';
 import {
   loadResults,
   saveResults,
   saveStatus,
   wasChecked,
   markChecked,
+  queueRetry,
+  resolveRetry,
+  isQueuedForRetry,
+  dueRetries,
+  getCursors,
+  setCursors,
+  getHitRates,
+  recordHit,
   addResult,
+  recordObservation,
+  holdForReview,
+  getFound,
   getStats,
+  getBreakdown,
   printBanner,
   printAvailable,
   printTaken,
   printError,
   printSkippedPremium,
+  printNotified,
+  printEvidence,
+  printHeld,
   printBatchProgress,
   printStats,
   printSaving,
   printSaved,
+  printWatchEntry,
+  printRejected,
+  printBreakdown,
+  printCheckResult,
+  printPricing,
+  printPriceTable,
+  printUnpriced,
 } from './reporter.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// `watch add|remove <domain...>` edits the list, `watch list` shows it, bare `watch` polls
+async function watchMode(config, [action, ...domains]) {
+  await loadWatchlist();
+
+  if (action === 'add' || action === 'remove') {
+    for (const name of domains) {
+      const domain = toAscii(name);
+      if (!domain) throw new Error(`Invalid domain "${name}"`);
+      const changed = action === 'add' ? addToWatchlist(domain) : removeFromWatchlist(domain);
+      console.log(`  ${changed ? (action === 'add' ? 'Watching' : 'Removed') : 'Unchanged'}: ${domain}`);
+    }
+    await saveWatchlist();
+    return;
+  }
+  if (action === 'list') {
+    for (const entry of getWatchlist()) printWatchEntry(entry);
+    return;
+  }
+  if (action) throw new Error(`Unknown watch action "${action}" (expected add, remove or list)`);
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+  });
+
+  await loadResults();
+  process.stdout.write('  Warming up providers...');
+  await warmupProviders();
+  console.log(` done!\n\n  Watching ${getWatchlist().length} domains\n`);
+  const startedAt = new Date();
+  await runWatch(config, {
+    isStopping: () => stopping,
+    afterPoll: () => sendNotifications(config, startedAt),
+  });
+  await saveWatchlist();
+}
+
+// Finds since `since` that match a notification rule, sent as one batch
+async function sendNotifications(config, since) {
+  printNotified(await notifyFinds(getFound(), config.notifications, { since }));
+}
 
-async function loadConfig() {
-  const raw = await readFile(join(__dirname, '..', 'config.json'), 'utf8');
-  return JSON.parse(raw);
+async function readNames(file) {
+  if (file !== '-') return readFile(file, 'utf8');
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// `check foo.dev bar` or `check --file names.txt` — bare names are tried on every configured TLD.
+// Same premium and budget rules as a scan; --save files finds under the Manual strategy.
+async function checkMode(config, names, flags) {
+  const listed = flags.file ? parseNameList(await readNames(flags.file)) : [];
+  const { domains, invalid } = expandNames([...names.flatMap(parseNameList), ...listed], config.tlds);
+  for (const name of invalid) console.error(`  Skipping invalid domain "${name}"`);
+  if (domains.length === 0) throw new Error('check needs at least one domain or name (or --file)');
+
+  const log = flags.json ? console.error : console.log;
+  if (flags.save) await loadResults();
+  await warmupProviders();
+  log();
+
+  const counts = {};
+  const { batchSize, concurrentBatches } = config;
+  const chunk = batchSize * concurrentBatches;
+  for (let i = 0; i < domains.length; i += chunk) {
+    const slice = domains.slice(i, i + chunk);
+    const batches = [];
+    for (let j = 0; j < slice.length; j += batchSize) batches.push(slice.slice(j, j + batchSize));
+    const results = new Map((await Promise.all(batches.map(b => checkDomainsBatch(b)))).flatMap(m => [...m]));
+    // As in the scan loop, names the premium and budget rules drop don't get a second opinion
+    const publishable = new Map([...results].filter(([domain, result]) => classifyResult(domain, result, { maxPrice: config.maxPricePerYear }).status === 'available'));
+    const verdicts = config.verification.enabled ? await verifyResults(publishable, config.verification) : new Map();
+
+    for (const domain of slice) {
+      const result = results.get(domain);
+      const verdict = verdicts.get(domain) ?? null;
+      const outcome = classifyResult(domain, result, { maxPrice: config.maxPricePerYear, verdict, minConfidence: config.verification.minConfidence });
+      counts[outcome.status] = (counts[outcome.status] ?? 0) + 1;
+
+      if (flags.json) {
+        process.stdout.write(JSON.stringify(describeOutcome(domain, result, outcome, verdict)) + '\n');
+      } else if (outcome.status === 'premium') {
+        printSkippedPremium(domain, outcome.label);
+      } else {
+        const tags = { budget: ' · over budget', held: ` · ${verdict?.confidence}, held for review` };
+        const label = outcome.label ?? '';
+        printCheckResult(domain, result ?? { available: null, reason: outcome.reason }, label + (tags[outcome.status] ?? (verdict ? ` · ${verdict.confidence}` : '')));
+      }
+      if (flags.save) saveManualResult(domain, result, outcome, verdict);
+    }
+  }
+
+  log(`\n  ${domains.length} checked: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+  if (flags.save) {
+    await saveResults();
+    log(`  Saved to found.json and checked.json as "${MANUAL_STRATEGY}"`);
+  }
+  log();
+}
+
+// Conclusive answers count as checked; finds join found.json like a scan's would
+function saveManualResult(domain, result, outcome, verdict) {
+  if (outcome.status === 'inconclusive') return;
+  markChecked(domain);
+  const known = getFound().some(e => e.domain === domain);
+  const { price, renewPrice, quotedPrice } = outcome;
+  const checkedAt = new Date().toISOString();
+
+  if (outcome.status === 'held') {
+    holdForReview({ domain, strategy: MANUAL_STRATEGY, tld: '.' + domain.split('.').pop(), price, checkedAt, ...verdict });
+  } else if (known) {
+    // Already found before: record what we saw, which marks it lost if it's gone
+    recordObservation(domain, { available: result.available, premium: result.premium ?? false, price: result.available ? price : null });
+  } else if (outcome.status === 'available') {
+    addResult({
+      domain,
+      ...(isIdn(domain) ? { unicode: toUnicode(domain) } : {}),
+      strategy: MANUAL_STRATEGY,
+      price,
+      renewPrice,
+      ...(quotedPrice ? { quotedPrice } : {}),
+      tld: '.' + domain.split('.').pop(),
+      premium: result.premium ?? false,
+      ...(verdict ? { confidence: verdict.confidence, verifiedBy: verdict.verifiedBy } : {}),
+      checkedAt,
+    });
+  }
 }
 
-function parseCliArg(flag) {
-  const idx = process.argv.indexOf(flag);
-  if (idx === -1 || idx + 1 >= process.argv.length) return null;
-  return process.argv[idx + 1];
+// Found domains, filtered, in any export format — to stdout unless --output is given, so it pipes cleanly
+async function exportMode(flags) {
+  const format = resolveFormat(flags.format, flags.output);
+  const number = (name, { integer = false } = {}) => {
+    if (flags[name] == null) return null;
+    const n = Number(flags[name]);
+    if (flags[name] === '' || !(n >= 0) || (integer && !Number.isInteger(n))) throw new Error(`Invalid --${name} "${flags[name]}"`);
+    return n;
+  };
+  const oneOf = (name, values, fallback) => {
+    const value = flags[name] ?? fallback;
+    if (!values.includes(value)) throw new Error(`Invalid --${name} "${value}" (expected ${values.join(', ')})`);
+    return value;
+  };
+  const filters = {
+    tlds: flags.tlds?.split(',').map(s => s.trim()).filter(Boolean),
+    strategies: flags.strategies?.split(',').map(s => s.trim()).filter(Boolean),
+    status: oneOf('status', ['available', 'lost', 'all'], 'all'),
+    maxPrice: number('max-price'),
+    premium: oneOf('premium', ['include', 'only', 'exclude'], 'include'),
+    since: flags.since,
+    until: flags.until,
+    top: number('top', { integer: true }),
+    search: flags.search,
+  };
+
+  await loadResults();
+  // Scores are filled in on save; a results file from an older run may not have them yet
+  const words = await loadDictionary();
+  for (const entry of getFound()) if (entry.score == null) scoreEntry(entry, words);
+  const entries = filterFound(getFound(), filters);
+  const shown = Object.fromEntries(Object.entries(filters).filter(([k, v]) => v != null && !(k === 'status' && v === 'all') && !(k === 'premium' && v === 'include')));
+  const text = renderExport(entries, format, { filters: shown });
+  if (flags.output) {
+    await writeFileAtomic(flags.output, text);
+    console.error(`  Exported ${entries.length} domains to ${flags.output} (${format})`);
+  } else {
+    process.stdout.on('error', err => { if (err.code === 'EPIPE') process.exit(0); });
+    process.stdout.write(text);
+  }
+}
+
+// `evidence foo.dev` — the recorded provider answers behind a domain's result
+async function evidenceMode(names, flags) {
+  if (names.length === 0) throw new Error('evidence needs at least one domain');
+  const domains = names.map(name => {
+    const domain = toAscii(name.toLowerCase());
+    if (!domain) throw new Error(`Invalid domain "${name}"`);
+    return domain;
+  });
+  const events = await queryEvidence(domains);
+
+  if (flags.json) {
+    process.stdout.on('error', err => { if (err.code === 'EPIPE') process.exit(0); });
+    for (const event of events) {
+      const line = flags.replay && event.kind === 'call' ? { ...event, replayed: replayCall(event) } : event;
+      process.stdout.write(JSON.stringify(line) + '\n');
+    }
+    return;
+  }
+
+  console.log();
+  for (const domain of domains) {
+    const own = events.filter(e => e.domain === domain);
+    console.log(`  ${describeName(domain)} — ${own.length === 0 ? 'no evidence recorded' : `${own.length} events`}`);
+    for (const event of own) {
+      printEvidence(event, flags.replay && event.kind === 'call' ? replayCall(event) : undefined);
+    }
+    console.log();
+  }
+}
+
+async function statsMode() {
+  await loadResults();
+  const s = getStats();
+  printStats(s.checked, s.found, s.unresolved, s.exhausted);
+  if (s.lost > 0) console.log(`  ${s.lost} found domains since lost\n`);
+  if (s.review > 0) console.log(`  ${s.review} finds held for review in data/review.json\n`);
+  printBreakdown(getBreakdown());
+}
+
+function pricesMode(config, pricing) {
+  const rows = config.tlds.map(tld => {
+    const p = getPrices(tld);
+    return p
+      ? { tld, ...p, cost: yearlyCost(p), affordable: yearlyCost(p) <= config.maxPricePerYear }
+      : { tld, registrar: null };
+  });
+  printPricing(pricing, [], config.pricing.unknownPrices);
+  printPriceTable(rows, `${describeBasis()}, max ${formatMoney(money(config.maxPricePerYear))}`);
 }
 
 async function main() {
-  printBanner();
+  const { command, positionals, flags } = parseCli(process.argv.slice(2));
+  if (flags.help) {
+    printHelp(command);
+    return;
+  }
+
+  // CLI overrides for TLD/strategy filtering (used by matrix jobs) are the top config layer;
+  // export's --tlds/--strategies only filter what it prints
+  const overrides = {};
+  if (command !== 'export') {
+    if (flags.tlds) overrides.tlds = flags.tlds.split(',');
+    if (flags.strategies) overrides.strategies = flags.strategies.split(',');
+  }
+  const config = await loadConfig({ overrides });
+  configureCurrency(config.currency);
+  configureEvidence(config.evidence);
+
+  // Read-only commands: no banner, no network
+  if (command === 'export') {
+    await exportMode(flags);
+    return;
+  }
+  if (command === 'stats') {
+    await statsMode();
+    return;
+  }
+  if (command === 'evidence') {
+    await evidenceMode(positionals, flags);
+    return;
+  }
+
+  const providers = configureProviders(config.providers, config.endpoints);
+  configureRateLimit(config.rateLimit);
+  const pricing = await loadPrices(config.pricing, { refresh: Boolean(flags.refresh) });
+
+  if (command === 'prices') {
+    pricesMode(config, pricing);
+    return;
+  }
+  if (command === 'check') {
+    await checkMode(config, positionals, flags);
+    return;
+  }
 
-  const config = await loadConfig();
-  const maxRuntime = (() => {
-    const v = parseCliArg('--max-runtime');
-    return v ? parseInt(v, 10) : null;
-  })();
+  printBanner();
 
-  // CLI overrides for TLD/strategy filtering (used by matrix jobs)
-  const tldFilter = parseCliArg('--tlds');
-  if (tldFilter) {
-    config.tlds = tldFilter.split(',').map(t => t.startsWith('.') ? t : '.' + t);
+  if (command === 'watch') {
+    await watchMode(config, positionals);
+    return;
   }
-  const stratFilter = parseCliArg('--strategies');
-  if (stratFilter) {
-    config.strategies = stratFilter.split(',');
+
+  // Recheck mode: re-verify found.json instead of scanning
+  if (command === 'recheck') {
+    await loadResults();
+    const { found, lost } = getStats();
+    console.log(`  Rechecking ${found + lost} found domains\n`);
+    process.stdout.write('  Warming up providers...');
+    await warmupProviders();
+    console.log(' done!\n');
+    await recheckFound(config);
+    await saveResults();
+    return;
   }
 
-  const batchSize = config.batchSize || 50;
-  const concurrentBatches = config.concurrentBatches || 3;
-  const domainsPerRound = batchSize * concurrentBatches;
+  await scan(config, providers, flags, pricing);
+}
+
+async function scan(config, providers, flags, pricing) {
+  const maxRuntime = flags['max-runtime'] ? parseInt(flags['max-runtime'], 10) : null;
+  if (Number.isNaN(maxRuntime)) throw new Error(`Invalid --max-runtime "${flags['max-runtime']}" (expected milliseconds)`);
+
+  // Hash sharding: `--shard 2/4` takes a disjoint quarter of every strategy and TLD
+  const shard = flags.shard ? parseShard(flags.shard) : null;
+
+  const { batchSize, concurrentBatches } = config;
+  const { maxAttempts: maxRetryAttempts, delayMs: retryDelayMs } = config.retry;
 
   console.log(`  Config: ${config.tlds.join(', ')}`);
-  console.log(`  Max price: $${config.maxPricePerYear}/yr`);
+  console.log(`  Max price: ${formatMoney(money(config.maxPricePerYear))} (${describeBasis()})`);
   console.log(`  Keywords: ${config.keywords.join(', ')}`);
   console.log(`  Names: ${config.personalNames.join(', ')}`);
   console.log(`  Strategies: ${config.strategies.join(', ')}`);
-  console.log(`  Throughput: ${concurrentBatches} x ${batchSize} = ${domainsPerRound} domains/round`);
+  if (config.customStrategies.length > 0) {
+    console.log(`  Custom: ${config.customStrategies.map(c => `${c.name} (x${c.weight})`).join(', ')}`);
+  }
+  console.log(`  Providers: ${providers.map(p => p.name).join(' → ')}`);
+  if (config.verification.enabled) {
+    console.log(`  Verify: ${config.verification.providers.join(', ')} (publish ${config.verification.minConfidence} and up)`);
+  }
+  if (config.notifications.enabled) {
+    console.log(`  Notify: ${config.notifications.rules.length} rules → ${config.notifications.sinks.map(s => s.type).join(', ')}`);
+  }
+  console.log(`  Throughput: up to ${concurrentBatches} x ${batchSize} = ${concurrentBatches * batchSize} domains/round`);
   if (maxRuntime) console.log(`  Max runtime: ${Math.round(maxRuntime / 1000)}s`);
+  printPricing(pricing, config.tlds.filter(tld => !getPrices(tld)), config.pricing.unknownPrices);
   console.log();
 
   // Load previous results
@@ -78,10 +398,18 @@ async function main() {
   if (stats.checked > 0) {
     console.log(`  Resuming: ${stats.checked} already checked, ${stats.found} found so far\n`);
   }
+  if (stats.unresolved > stats.exhausted) {
+    console.log(`  Retry queue: ${stats.unresolved - stats.exhausted} inconclusive domains pending\n`);
+  }
 
-  // Warm up RDAP bootstrap
-  process.stdout.write('  Loading RDAP bootstrap...');
-  await warmupBootstrap();
+  // Seeded generation: the same seed gives the same order, so cursors can resume it
+  const seed = flags.seed ?? config.seed ?? getCursors().seed ?? randomBytes(8).toString('hex');
+  setCursors(seed, {});
+  console.log(`  Seed: ${seed}${shard ? `, shard ${shard.spec}` : ''}\n`);
+
+  // Warm up providers (RDAP bootstrap etc.)
+  process.stdout.write('  Warming up providers...');
+  await warmupProviders();
   console.log(' done!\n');
 
   const startedAt = new Date();
@@ -89,33 +417,48 @@ async function main() {
   // Write initial status
   await saveStatus({
     running: true,
+    ...(shard ? { shard: shard.spec } : {}),
     startedAt: startedAt.toISOString(),
     domainsChecked: stats.checked,
     domainsFound: stats.found,
   });
 
+  // Quality gate between generator and checker
+  const rejectReason = await createQualityGate(config.qualityGate, config.idn);
+  const rejected = {}; // strategy -> names the gate kept from the checker
+  const unpriced = {}; // tld -> names generated without a known price
+
   // Auto-save interval
   let saveCounter = 0;
   const SAVE_EVERY = 200;
 
   // Handle Ctrl+C / max-runtime gracefully
   let stopping = false;
+  // Both a graceful stop and the end of the main loop get here; only one sends
+  let notifying = null;
+  const notifyOnce = () => (notifying ??= sendNotifications(config, startedAt));
 
   async function gracefulStop() {
     if (stopping) process.exit(1);
     stopping = true;
     printSaving();
-    await saveResults();
+    await saveResults({ compact: true });
     const s = getStats();
     printSaved(s.found);
-    printStats(s.checked, s.found);
+    printStats(s.checked, s.found, s.unresolved, s.exhausted);
+    printRejected(rejected);
+    printUnpriced(unpriced, config.pricing.unknownPrices);
+    await notifyOnce();
     const runDuration = Math.round((Date.now() - startedAt.getTime()) / 1000);
     await saveStatus({
       running: false,
+      ...(shard ? { shard: shard.spec } : {}),
       startedAt: startedAt.toISOString(),
       lastCompleted: new Date().toISOString(),
       domainsChecked: s.checked,
       domainsFound: s.found,
+      domainsUnresolved: s.unresolved,
+      rejectedByStrategy: rejected,
       runDuration,
     });
     process.exit(0);
@@ -132,21 +475,41 @@ async function main() {
   }
 
   // Main loop — concurrent batches
-  const generator = generateDomains(config);
+  const generator = generateDomains(config, { seed, positions: getCursors().positions, shard, hitRates: getHitRates() });
+  const consumed = {}; // fingerprint -> generator position after this run's processed rounds
   let roundNum = 0;
 
   while (!stopping) {
-    // Collect domains for all concurrent batches
-    const allDomains = []; // { domain, strategy, tld }
+    // Concurrency shrinks automatically when providers start throttling us
+    const concurrency = nextConcurrency(concurrentBatches);
+    const domainsPerRound = batchSize * concurrency;
+
+    // Collect domains for all concurrent batches — due retries first, capped at half a round
+    const allDomains = dueRetries(Math.floor(domainsPerRound / 2), retryDelayMs, d => inShard(toAscii(d) ?? d, shard)); // { domain, strategy, tld }
+    const roundPositions = {};
     while (allDomains.length < domainsPerRound) {
       const next = await generator.next();
       if (next.done) break;
 
-      const { domain, strategy } = next.value;
-      if (wasChecked(domain)) continue;
+      const { domain: name, strategy, position, fingerprint } = next.value;
+      roundPositions[fingerprint] = position + 1;
+      // Stored and checked as ASCII; a name that has no ASCII form is left for the gate to reject
+      const domain = toAscii(name) ?? name;
+      if (wasChecked(domain) || isQueuedForRetry(domain)) continue;
 
       const tld = '.' + domain.split('.').pop();
-      if (!isAffordable(tld, config.maxPricePerYear)) continue;
+      // Unknown prices are counted either way, and only skipped when configured to
+      const affordable = isAffordable(tld, config.maxPricePerYear);
+      if (affordable === false) continue;
+      if (affordable === null) {
+        unpriced[tld] = (unpriced[tld] ?? 0) + 1;
+        if (config.pricing.unknownPrices === 'skip') continue;
+      }
+
+      if (rejectReason(domain, strategy)) {
+        rejected[strategy] = (rejected[strategy] ?? 0) + 1;
+        continue;
+      }
 
       allDomains.push({ domain, strategy, tld });
     }
@@ -154,7 +517,7 @@ async function main() {
     if (allDomains.length === 0) break;
 
     roundNum++;
-    printBatchProgress(roundNum, allDomains.length);
+    printBatchProgress(roundNum, allDomains.length, { concurrency, rate: getEffectiveRate() });
 
     // Split into concurrent batches
     const batches = [];
@@ -162,7 +525,7 @@ async function main() {
       batches.push(allDomains.slice(i, i + batchSize));
     }
 
-    // Rate limit — one delay per round
+    // Pause between rounds — per-host pacing happens in ratelimit.js
     await sleep(config.requestDelayMs);
 
     // Fire all batches concurrently
@@ -180,43 +543,78 @@ async function main() {
       }
     }
 
+    // Quote available results first: premiums over budget are skipped, so they don't get verified
+    const quotes = new Map();
+    const publishable = new Map();
+    for (const [domain, result] of results) {
+      if (result.available !== true) continue;
+      const quote = quoteResult(domain, result);
+      quotes.set(domain, quote);
+      if (!premiumOverBudget(domain, result, quote.price, config.maxPricePerYear)) publishable.set(domain, result);
+    }
+
+    // Second opinions on every result that would be published, before any of them is
+    const verdicts = config.verification.enabled ? await verifyResults(publishable, config.verification) : new Map();
+
     // Process results
     for (const { domain, strategy, tld } of allDomains) {
       if (stopping) break;
 
+      // Inconclusive: queue for a later round instead of marking it checked
       const result = results.get(domain);
-      if (!result) continue;
+      if (!result || result.available === null) {
+        const reason = result?.reason ?? 'no result';
+        const entry = queueRetry(domain, strategy, reason, maxRetryAttempts);
+        printError(domain, `${reason}, attempt ${entry.attempts}/${maxRetryAttempts}`);
+        continue;
+      }
 
       markChecked(domain);
+      resolveRetry(domain);
 
       if (result.available === true) {
-        // Premium price filtering
-        if (result.premium && result.eppPriceAmount != null) {
-          const premiumPrice = parseFloat(result.eppPriceAmount);
-          if (premiumPrice > config.maxPricePerYear) {
-            printSkippedPremium(domain, result.eppPrice);
-            continue;
-          }
+        // Premiums over budget were set aside before verification
+        const { price, renewPrice, quotedPrice, label } = quotes.get(domain);
+        if (!publishable.has(domain)) {
+          printSkippedPremium(domain, label);
+          recordHit(strategy, false);
+          continue;
         }
 
-        const price = result.eppPrice ?? formatPrice(tld);
-        const premium = result.premium ? ' [PREMIUM]' : '';
-        printAvailable(domain, strategy, price + premium);
+        const verdict = verdicts.get(domain);
+        if (verdict && !meetsConfidence(verdict.confidence, config.verification.minConfidence)) {
+          printHeld(domain, strategy, verdict);
+          holdForReview({ domain, strategy, tld, price, checkedAt: new Date().toISOString(), ...verdict });
+          recordHit(strategy, false);
+          continue;
+        }
+
+        printAvailable(domain, strategy, label + (result.premium ? ' [PREMIUM]' : '') + (verdict ? ` · ${verdict.confidence}` : ''));
         addResult({
           domain,
+          ...(isIdn(domain) ? { unicode: toUnicode(domain) } : {}),
           strategy,
           price,
+          renewPrice,
+          ...(quotedPrice ? { quotedPrice } : {}),
           tld,
           premium: result.premium ?? false,
+          ...(verdict ? { confidence: verdict.confidence, verifiedBy: verdict.verifiedBy } : {}),
           checkedAt: new Date().toISOString(),
         });
-      } else if (result.available === false) {
-        printTaken(domain);
+        recordHit(strategy, true);
       } else {
-        printError(domain, result.reason ?? 'unknown');
+        printTaken(domain);
+        recordHit(strategy, false);
       }
     }
 
+    // Only a fully processed round moves the cursors; an interrupted one is regenerated next run
+    if (!stopping) {
+      Object.assign(consumed, roundPositions);
+      setCursors(seed, consumed);
+    }
+
     // Save found domains immediately if any new ones
     const currentStats = getStats();
     if (currentStats.found > stats.found) {
@@ -233,18 +631,24 @@ async function main() {
 
   // Final save
   printSaving();
-  await saveResults();
+  await saveResults({ compact: true });
   const finalStats = getStats();
   printSaved(finalStats.found);
-  printStats(finalStats.checked, finalStats.found);
+  printStats(finalStats.checked, finalStats.found, finalStats.unresolved, finalStats.exhausted);
+  printRejected(rejected);
+  printUnpriced(unpriced, config.pricing.unknownPrices);
+  await notifyOnce();
 
   const runDuration = Math.round((Date.now() - startedAt.getTime()) / 1000);
   await saveStatus({
     running: false,
+    ...(shard ? { shard: shard.spec } : {}),
     startedAt: startedAt.toISOString(),
     lastCompleted: new Date().toISOString(),
     domainsChecked: finalStats.checked,
     domainsFound: finalStats.found,
+    domainsUnresolved: finalStats.unresolved,
+    rejectedByStrategy: rejected,
     runDuration,
   });
 
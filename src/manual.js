@@ -0,0 +1,65 @@
+import { toAscii, toUnicode } from './idn.js';
+import { isAffordable, premiumOverBudget, quoteResult } from './pricing.js';
+import { meetsConfidence } from './verify.js';
+
+// --- Manual lists: names people brought, checked like generated ones ---
+// Input is a file, stdin or the command line: one name per line (or separated
+// by commas/spaces), `#` starts a comment. Bare labels are tried on every
+// configured TLD. Results go through the same premium and budget rules as the
+// scan loop, and can be saved under the Manual strategy.
+
+export const MANUAL_STRATEGY = 'Manual';
+
+export function parseNameList(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/#.*/, ''))
+    .flatMap(line => line.split(/[\s,;]+/))
+    .map(name => name.trim().toLowerCase().replace(/\.$/, ''))
+    .filter(Boolean);
+}
+
+// { domains, invalid }: ASCII domains in input order without repeats, and what couldn't be one
+export function expandNames(names, tlds) {
+  const domains = new Set();
+  const invalid = [];
+  for (const name of names) {
+    const candidates = name.includes('.') ? [name] : tlds.map(tld => name + tld);
+    for (const candidate of candidates) {
+      const domain = toAscii(candidate);
+      if (domain) domains.add(domain);
+      else invalid.push(candidate);
+    }
+  }
+  return { domains: [...domains], invalid };
+}
+
+// What the scan loop would do with this result:
+//   available, taken, inconclusive, premium (over maxPrice, or no rate to tell), budget (TLD over maxPrice), held (below minConfidence)
+export function classifyResult(domain, result, { maxPrice, verdict = null, minConfidence } = {}) {
+  if (!result || result.available === null) return { status: 'inconclusive', reason: result?.reason ?? 'no result' };
+  if (result.available === false) return { status: 'taken' };
+
+  const quote = quoteResult(domain, result);
+  if (premiumOverBudget(domain, result, quote.price, maxPrice)) return { status: 'premium', ...quote };
+  if (!result.premium && isAffordable('.' + domain.split('.').pop(), maxPrice) === false) return { status: 'budget', ...quote };
+  if (verdict && !meetsConfidence(verdict.confidence, minConfidence)) return { status: 'held', ...quote };
+  return { status: 'available', ...quote };
+}
+
+// One machine-readable line per domain
+export function describeOutcome(domain, result, outcome, verdict) {
+  return {
+    domain,
+    ...(toUnicode(domain) !== domain ? { unicode: toUnicode(domain) } : {}),
+    status: outcome.status,
+    method: result?.method ?? null,
+    price: outcome.price ?? null,
+    ...(outcome.renewPrice ? { renewPrice: outcome.renewPrice } : {}),
+    premium: result?.premium ?? false,
+    ...(result?.reserved ? { reserved: true } : {}),
+    ...(outcome.reason ? { reason: outcome.reason } : {}),
+    ...(result?.note ? { note: result.note } : {}),
+    ...(verdict ? { confidence: verdict.confidence, verifiedBy: verdict.verifiedBy } : {}),
+  };
+}
@@ -0,0 +1,261 @@
+import { readFile, readdir, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, basename } from 'path';
+import { loadChecked, compactChecked, writeFileAtomic } from './store.js';
+import { parseMoney, sameMoney } from './currency.js';
+import { normalizePrices } from './reporter.js';
+import { loadDictionary, scoreEntry } from './scoring.js';
+
+// --- Shard merge: fold any number of shard data dirs into one ---
+// Checked sets are unioned. Found entries that several sources report are
+// resolved by the freshest observation (lastVerifiedAt, else checkedAt), and
+// disagreements land in a conflict report instead of being silently dropped.
+
+async function readJson(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Every directory under shardsRoot — artifacts land either in <dir>/data or <dir> itself
+export async function discoverShardDirs(shardsRoot) {
+  try {
+    const entries = await readdir(shardsRoot, { withFileTypes: true });
+    return entries
+      .filter(e => e.isDirectory())
+      .map(e => join(shardsRoot, e.name))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function dataDirOf(dir) {
+  return existsSync(join(dir, 'data')) ? join(dir, 'data') : dir;
+}
+
+// Loads one source (a shard, or the repo's own data dir), including the old results.json format
+export async function loadSource(dir, name = basename(dir)) {
+  const dataDir = dataDirOf(dir);
+  const { checked } = await loadChecked(dataDir);
+  const found = await readJson(join(dataDir, 'found.json'), []);
+
+  const old = await readJson(join(dataDir, 'results.json'), {});
+  for (const d of (old.checked ?? [])) checked.add(d);
+  found.push(...(old.found ?? []));
+  for (const entry of found) normalizePrices(entry); // same shape loadResults gives them
+
+  return {
+    name,
+    checked,
+    found,
+    retry: await readJson(join(dataDir, 'retry.json'), {}),
+    cursors: await readJson(join(dataDir, 'cursors.json'), null),
+    hitRates: await readJson(join(dataDir, 'hitrates.json'), {}),
+    notified: await readJson(join(dataDir, 'notified.json'), null),
+    review: await readJson(join(dataDir, 'review.json'), []),
+    status: await readJson(join(dataDir, 'status.json'), null),
+  };
+}
+
+function observedAt(entry) {
+  return entry.lastVerifiedAt ?? entry.checkedAt ?? '';
+}
+
+function summarize(entry, source) {
+  return {
+    source,
+    observedAt: observedAt(entry),
+    status: entry.status ?? 'available',
+    premium: entry.premium ?? false,
+    price: entry.price ?? null,
+  };
+}
+
+function disagree(a, b) {
+  return a.status !== b.status || a.premium !== b.premium || !sameMoney(parseMoney(a.price), parseMoney(b.price));
+}
+
+// Freshest observation wins; histories from every source are kept
+export function mergeFound(sources) {
+  const byDomain = new Map(); // domain -> { entry, source, seen: [summary] }
+
+  for (const { name, found } of sources) {
+    for (const entry of found) {
+      const current = byDomain.get(entry.domain);
+      if (!current) {
+        byDomain.set(entry.domain, { entry, source: name, seen: [summarize(entry, name)] });
+        continue;
+      }
+      current.seen.push(summarize(entry, name));
+      const history = [...(current.entry.history ?? []), ...(entry.history ?? [])];
+      if (observedAt(entry) > observedAt(current.entry)) {
+        current.entry = entry;
+        current.source = name;
+      }
+      if (history.length > 0) current.entry = { ...current.entry, history: dedupeHistory(history) };
+    }
+  }
+
+  const found = [];
+  const conflicts = [];
+  for (const [domain, { entry, source, seen }] of byDomain) {
+    found.push(entry);
+    if (seen.some(s => disagree(s, seen[0]))) {
+      conflicts.push({ domain, kept: source, observations: seen });
+    }
+  }
+  return { found, conflicts };
+}
+
+function dedupeHistory(history) {
+  const seen = new Map();
+  for (const h of history) seen.set(`${h.at}|${h.available}`, h);
+  return [...seen.values()].sort((a, b) => (a.at < b.at ? -1 : 1));
+}
+
+// Keep whichever source tried a domain the most; drop pending retries someone has since resolved
+export function mergeRetry(sources, checked) {
+  const merged = {};
+  for (const { retry } of sources) {
+    for (const [domain, entry] of Object.entries(retry)) {
+      if (!merged[domain] || entry.attempts > merged[domain].attempts) merged[domain] = entry;
+    }
+  }
+  for (const [domain, entry] of Object.entries(merged)) {
+    if (!entry.exhausted && checked.has(domain)) delete merged[domain];
+  }
+  return merged;
+}
+
+// Cursors are keyed by strategy fingerprint — keep the furthest position
+export function mergeCursors(sources) {
+  const merged = { seed: null, positions: {} };
+  for (const { cursors } of sources) {
+    if (!cursors) continue;
+    merged.seed = cursors.seed ?? merged.seed;
+    for (const [print, position] of Object.entries(cursors.positions ?? {})) {
+      merged.positions[print] = Math.max(merged.positions[print] ?? 0, position);
+    }
+  }
+  return merged;
+}
+
+// Every shard starts from the repo's counts, so only what each added on top is summed
+export function mergeHitRates([base, ...shards]) {
+  const merged = structuredClone(base.hitRates);
+  for (const { hitRates } of shards) {
+    for (const [strategy, counts] of Object.entries(hitRates)) {
+      const row = (merged[strategy] ??= { checked: 0, found: 0 });
+      const before = base.hitRates[strategy] ?? { checked: 0, found: 0 };
+      row.checked += Math.max(0, counts.checked - before.checked);
+      row.found += Math.max(0, counts.found - before.found);
+    }
+  }
+  return merged;
+}
+
+// Held-for-review finds: one per domain, the latest verdict wins
+export function mergeReview(sources) {
+  const byDomain = new Map();
+  for (const { review } of sources) {
+    for (const entry of review) {
+      const kept = byDomain.get(entry.domain);
+      if (!kept || (entry.checkedAt ?? '') > (kept.checkedAt ?? '')) byDomain.set(entry.domain, entry);
+    }
+  }
+  return [...byDomain.values()];
+}
+
+// Sent notifications are unioned. A shard whose send failed still carries the
+// repo's coveredUntil, so taking the earliest one retries its finds next run.
+export function mergeNotified([base, ...shards]) {
+  const states = [base, ...shards].map(s => s.notified).filter(Boolean);
+  if (states.length === 0) return null;
+
+  const domains = {};
+  for (const state of states) {
+    for (const [domain, sent] of Object.entries(state.domains ?? {})) {
+      if (!domains[domain] || sent.at < domains[domain].at) domains[domain] = sent;
+    }
+  }
+  const covered = shards.map(s => s.notified?.coveredUntil).filter(Boolean).sort();
+  return { coveredUntil: covered[0] ?? base.notified?.coveredUntil ?? null, domains };
+}
+
+// Durations and rejections add up; per-shard stats are kept as reported
+export function mergeStatus(sources, totals) {
+  const statuses = sources.filter(s => s.status).map(s => ({ name: s.name, ...s.status }));
+  const status = {
+    running: statuses.some(s => s.running),
+    startedAt: statuses.map(s => s.startedAt).filter(Boolean).sort()[0] ?? null,
+    lastCompleted: statuses.map(s => s.lastCompleted).filter(Boolean).sort().pop() ?? null,
+    runDuration: statuses.reduce((sum, s) => sum + (s.runDuration ?? 0), 0),
+    ...totals,
+    rejectedByStrategy: {},
+    shards: {},
+  };
+  for (const { name, ...s } of statuses) {
+    for (const [strategy, n] of Object.entries(s.rejectedByStrategy ?? {})) {
+      status.rejectedByStrategy[strategy] = (status.rejectedByStrategy[strategy] ?? 0) + n;
+    }
+    status.shards[s.shard ?? name] = {
+      startedAt: s.startedAt ?? null,
+      lastCompleted: s.lastCompleted ?? null,
+      runDuration: s.runDuration ?? 0,
+      domainsChecked: s.domainsChecked ?? 0,
+      domainsFound: s.domainsFound ?? 0,
+      domainsUnresolved: s.domainsUnresolved ?? 0,
+    };
+  }
+  return status;
+}
+
+// Pure merge of already-loaded sources; the first source is the base (usually the repo's data/)
+export function mergeSources(sources) {
+  const checked = new Set();
+  for (const source of sources) {
+    for (const d of source.checked) checked.add(d);
+  }
+  const { found, conflicts } = mergeFound(sources);
+  const retry = mergeRetry(sources, checked);
+  const cursors = mergeCursors(sources);
+  const hitRates = mergeHitRates(sources);
+  const notified = mergeNotified(sources);
+  const review = mergeReview(sources);
+  const status = mergeStatus(sources.slice(1), {
+    domainsChecked: checked.size,
+    domainsFound: found.filter(f => f.status !== 'lost').length,
+    domainsUnresolved: Object.keys(retry).length,
+  });
+  return { checked, found, retry, cursors, hitRates, notified, review, status, conflicts };
+}
+
+export async function writeMerged(dataDir, merged) {
+  // Legacy entries arrive unscored; score them as saveResults would, best first
+  const words = await loadDictionary();
+  for (const entry of merged.found) {
+    if (entry.score == null) scoreEntry(entry, words);
+  }
+  merged.found.sort((a, b) => b.score - a.score);
+
+  await compactChecked(dataDir, merged.checked);
+  await writeFileAtomic(join(dataDir, 'found.json'), JSON.stringify(merged.found, null, 2));
+  await writeFileAtomic(join(dataDir, 'retry.json'), JSON.stringify(merged.retry, null, 2));
+  await writeFileAtomic(join(dataDir, 'cursors.json'), JSON.stringify(merged.cursors, null, 2));
+  await writeFileAtomic(join(dataDir, 'hitrates.json'), JSON.stringify(merged.hitRates, null, 2));
+  if (merged.review.length > 0) await writeFileAtomic(join(dataDir, 'review.json'), JSON.stringify(merged.review, null, 2));
+  if (merged.notified) await writeFileAtomic(join(dataDir, 'notified.json'), JSON.stringify(merged.notified, null, 2));
+  await writeFileAtomic(join(dataDir, 'status.json'), JSON.stringify(merged.status, null, 2));
+  await writeFile(join(dataDir, 'merge-conflicts.json'), JSON.stringify(merged.conflicts, null, 2));
+}
+
+export async function mergeShards(dataDir, shardDirs) {
+  const sources = [await loadSource(dataDir, 'repo')];
+  for (const dir of shardDirs) sources.push(await loadSource(dir));
+  const merged = mergeSources(sources);
+  await writeMerged(dataDir, merged);
+  return merged;
+}
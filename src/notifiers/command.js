@@ -0,0 +1,28 @@
+import { spawn } from 'child_process';
+
+// --- Local command: run a program per batch ---
+// The batch goes to stdin as JSON; `{subject}` and `{text}` in args are filled
+// in, so `notify-send {subject} {text}` works. No shell is involved.
+
+export function createCommandNotifier(options = {}) {
+  const { command, args = [], timeoutMs = 30000 } = options;
+  if (!command) throw new Error('command notifier needs a command');
+
+  function send(batch) {
+    const argv = args.map(a => a.replaceAll('{subject}', batch.subject).replaceAll('{text}', batch.text));
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, argv, { stdio: ['pipe', 'ignore', 'pipe'], timeout: timeoutMs });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.stdin.on('error', () => {}); // the command may not read its input
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) resolve();
+        else reject(new Error(`${command} ${signal ? `killed by ${signal}` : `exited with ${code}`}${stderr.trim() ? `: ${stderr.trim().split('\n')[0]}` : ''}`));
+      });
+      child.stdin.end(JSON.stringify(batch));
+    });
+  }
+
+  return { name: `command ${command}`, send };
+}
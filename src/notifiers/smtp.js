@@ -0,0 +1,146 @@
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+
+// --- SMTP email: a minimal client, plain text only ---
+// `secure: true` is TLS from the start (port 465); otherwise the connection is
+// upgraded with STARTTLS whenever the server offers it. The password can come
+// from the environment via `passwordEnv`, so it never sits in config.json.
+
+// Reads "250-..." continuation lines until the final "250 ..." of each reply
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  function settle() {
+    while (waiters.length > 0 && (replies.length > 0 || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, i).replace(/\r$/, '');
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line, 10), text: lines.map(l => l.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  }
+  function onEnd(err) {
+    failure ??= err instanceof Error ? err : new Error('SMTP connection closed');
+    settle();
+  }
+
+  socket.on('data', onData);
+  socket.on('error', onEnd);
+  socket.on('close', onEnd);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+      settle();
+    }),
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onEnd);
+      socket.off('close', onEnd);
+    },
+  };
+}
+
+// Resolves with the connected socket; a connect or any later exchange that goes
+// quiet for timeoutMs destroys it, which rejects whatever is waiting on it
+function connect(options, secure, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect(options, () => resolve(socket))
+      : net.connect(options, () => resolve(socket));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout talking to ${options.servername}`)));
+    socket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomBytes(12).toString('hex')}@${from.split('@').pop().replace(/>$/, '')}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  // Lines starting with a dot are doubled so they can't end the DATA section early
+  const body = text.split(/\r?\n/).map(l => (l.startsWith('.') ? '.' + l : l));
+  return [...headers, '', ...body].join('\r\n');
+}
+
+export function createSmtpNotifier(options = {}) {
+  const { host, secure = false, username, from, timeoutMs = 15000 } = options;
+  const port = options.port ?? (secure ? 465 : 587);
+  const to = [options.to ?? []].flat();
+  const password = options.password ?? (options.passwordEnv ? process.env[options.passwordEnv] : undefined);
+  if (!host || !from || to.length === 0) throw new Error('smtp notifier needs host, from and to');
+
+  async function send({ subject, text }) {
+    let socket = await connect({ host, port, servername: host }, secure, timeoutMs);
+    let reader = replyReader(socket);
+
+    async function command(line, ...expected) {
+      if (line != null) socket.write(line + '\r\n');
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const shown = line?.startsWith('AUTH') ? 'AUTH' : line ?? 'greeting';
+        throw new Error(`SMTP ${shown}: ${reply.code} ${reply.text.split('\n')[0]}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, 220);
+      let ehlo = await command(`EHLO ${hostname()}`, 250);
+
+      if (!secure && /^STARTTLS\b/im.test(ehlo.text)) {
+        await command('STARTTLS', 220);
+        reader.detach();
+        socket.setTimeout(0);
+        socket = await connect({ socket, servername: host }, true, timeoutMs);
+        reader = replyReader(socket);
+        ehlo = await command(`EHLO ${hostname()}`, 250);
+      }
+
+      if (username) {
+        const token = Buffer.from(`\0${username}\0${password ?? ''}`).toString('base64');
+        await command(`AUTH PLAIN ${token}`, 235);
+      }
+
+      const address = value => value.match(/<([^>]+)>/)?.[1] ?? value;
+      await command(`MAIL FROM:<${address(from)}>`, 250);
+      for (const rcpt of to) await command(`RCPT TO:<${address(rcpt)}>`, 250, 251);
+      await command('DATA', 354);
+      await command(`${buildMessage({ from, to, subject, text })}\r\n.`, 250);
+      await command('QUIT', 221).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: `smtp ${host}`, send };
+}
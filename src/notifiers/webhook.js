@@ -0,0 +1,33 @@
+// --- Webhook: POST the batch as JSON ---
+// `format` shapes the body for chat services: 'slack' sends { text },
+// 'discord' sends { content }, and the default sends { text, subject, domains }.
+// The URL can come from the environment via `urlEnv`, since it is a secret.
+
+const BODIES = {
+  json: ({ subject, text, domains }) => ({ subject, text, domains }),
+  slack: ({ text }) => ({ text }),
+  discord: ({ text }) => ({ content: text.slice(0, 2000) }),
+};
+
+export function createWebhookNotifier(options = {}) {
+  const { headers = {}, format = 'json', timeoutMs = 10000 } = options;
+  const url = options.url ?? (options.urlEnv ? process.env[options.urlEnv] : undefined);
+  if (!url) throw new Error(`webhook notifier needs a url${options.urlEnv ? ` (${options.urlEnv} is not set)` : ''}`);
+  const body = BODIES[format];
+  if (!body) throw new Error(`Unknown webhook format "${format}" (expected ${Object.keys(BODIES).join(', ')})`);
+
+  async function send(batch) {
+    // Plain fetch, not limitedFetch: one request per run needs no pacing, and
+    // backing off on a failing hook would hold up the end of the run
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body(batch)),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await res.body?.cancel();
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+  }
+
+  return { name: `webhook ${new URL(url).host}`, send };
+}
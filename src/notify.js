@@ -0,0 +1,139 @@
+import { readFile } from 'fs/promises';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './store.js';
+import { formatMoney } from './currency.js';
+import { toUnicode } from './idn.js';
+import { createWebhookNotifier } from './notifiers/webhook.js';
+import { createSmtpNotifier } from './notifiers/smtp.js';
+import { createCommandNotifier } from './notifiers/command.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// --- Notifications: tell someone when a find is worth waking up for ---
+// After each run (and each watch poll) the run's finds are matched against
+// config.notifications.rules; every rule lists conditions that must all hold,
+// and a find matching any rule goes out in one batch to every sink. Each domain
+// is sent once: the state file remembers what went out, and `coveredUntil` only
+// moves forward once a batch is delivered, so finds from a failed send are retried next run.
+
+const NOTIFIERS = {
+  webhook: createWebhookNotifier,
+  smtp: createSmtpNotifier,
+  command: createCommandNotifier,
+};
+
+export const DEFAULTS = {
+  enabled: false,
+  stateFile: 'data/notified.json',
+  rules: [],
+  sinks: [],
+};
+
+export function registerNotifier(type, factory) {
+  NOTIFIERS[type] = factory;
+}
+
+function createSinks(specs) {
+  return specs.map(({ type, ...options }) => {
+    const factory = NOTIFIERS[type];
+    if (!factory) throw new Error(`Unknown notification sink "${type}"`);
+    return factory(options);
+  });
+}
+
+function resolvePath(path) {
+  return isAbsolute(path) ? path : join(ROOT, path);
+}
+
+async function loadState(path) {
+  try {
+    return { coveredUntil: null, domains: {}, ...JSON.parse(await readFile(resolvePath(path), 'utf8')) };
+  } catch {
+    return { coveredUntil: null, domains: {} };
+  }
+}
+
+function saveState(path, state) {
+  return writeFileAtomic(resolvePath(path), JSON.stringify(state, null, 2));
+}
+
+// The first rule a found entry satisfies, or null
+export function matchRule(entry, rules) {
+  const tld = entry.tld ?? '.' + entry.domain.split('.').pop();
+  const label = toUnicode(entry.domain).split('.')[0];
+  return rules.find(rule =>
+    (rule.minScore == null || (entry.score ?? 0) >= rule.minScore)
+    && (rule.maxLength == null || [...label].length <= rule.maxLength)
+    && (rule.tlds == null || rule.tlds.includes(tld))
+    && (rule.maxPrice == null || (entry.price != null && entry.price.amount <= rule.maxPrice))
+    && (rule.strategies == null || rule.strategies.includes(entry.strategy))
+    && (rule.premium == null || Boolean(entry.premium) === rule.premium),
+  ) ?? null;
+}
+
+function describeFind(entry, rule) {
+  const price = entry.price ? formatMoney(entry.price) : 'price unknown';
+  const score = entry.score != null ? `, score ${entry.score}` : '';
+  return `${toUnicode(entry.domain)} — ${price}${entry.premium ? ' (premium)' : ''}${score} [${entry.strategy}]${rule.name ? ` · ${rule.name}` : ''}`;
+}
+
+export function formatBatch(matches) {
+  const subject = `Domain Radar: ${matches.length} new find${matches.length === 1 ? '' : 's'}`;
+  const text = [subject, '', ...matches.map(({ entry, rule }) => describeFind(entry, rule))].join('\n');
+  const domains = matches.map(({ entry, rule }) => ({
+    domain: entry.domain,
+    ...(entry.unicode ? { unicode: entry.unicode } : {}),
+    strategy: entry.strategy,
+    price: entry.price ?? null,
+    premium: entry.premium ?? false,
+    score: entry.score ?? null,
+    rule: rule.name ?? null,
+    checkedAt: entry.checkedAt,
+  }));
+  return { subject, text, domains };
+}
+
+// Sends available finds from `since` on (or from the end of the last delivered
+// batch, if earlier) that match a rule and were never sent. Returns { sent, errors };
+// sink failures never throw, since a dead webhook must not take a scan down with it.
+export async function notifyFinds(found, options = {}, { since = new Date() } = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (!opts.enabled || opts.rules.length === 0 || opts.sinks.length === 0) return { sent: 0, errors: [] };
+
+  const state = await loadState(opts.stateFile);
+  const from = Math.min(new Date(state.coveredUntil ?? since).getTime(), new Date(since).getTime());
+  const now = new Date().toISOString();
+  const matches = [];
+  for (const entry of found) {
+    if (entry.status === 'lost' || state.domains[entry.domain]) continue;
+    if (Date.parse(entry.checkedAt) < from) continue;
+    const rule = matchRule(entry, opts.rules);
+    if (rule) matches.push({ entry, rule });
+  }
+  if (matches.length === 0) {
+    await saveState(opts.stateFile, { ...state, coveredUntil: now });
+    return { sent: 0, errors: [] };
+  }
+
+  const batch = formatBatch(matches);
+  const errors = [];
+  let sinks;
+  try {
+    sinks = createSinks(opts.sinks);
+  } catch (err) {
+    return { sent: 0, errors: [{ sink: 'config', error: err.message }] };
+  }
+  const settled = await Promise.allSettled(sinks.map(sink => sink.send(batch)));
+  settled.forEach((s, i) => {
+    if (s.status === 'rejected') errors.push({ sink: sinks[i].name, error: s.reason?.message ?? String(s.reason) });
+  });
+  if (errors.length === sinks.length) return { sent: 0, errors };
+
+  for (const { entry, rule } of matches) {
+    state.domains[entry.domain] = { at: now, ...(rule.name ? { rule: rule.name } : {}) };
+  }
+  await saveState(opts.stateFile, { ...state, coveredUntil: now });
+  return { sent: matches.length, errors };
+}
@@ -1,3 +1,23 @@
+import { readFile } from 'fs/promises';
+import { join, dirname, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import { limitedFetch } from './ratelimit.js';
+import { writeFileAtomic } from './store.js';
+import { convert, formatMoney, getDisplayCurrency, money } from './currency.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// --- Pricing: register / renew / transfer per TLD per registrar ---
+// Prices come from a local price file (data/prices.json), or from a fetcher
+// whose result is cached on disk. Both use the same shape:
+//   { updatedAt, source, currency, registrars: { name: { '.io': { register, renew, transfer, currency? } } } }
+// Amounts are in the file's currency (USD if unset) unless an entry says otherwise,
+// and come out of here converted to the display currency.
+// Budgets compare one yearly figure per TLD, picked by `basis`: the first-year
+// price, the renewal price, or the average over `years` of ownership.
+
+// Built-in first-year estimates, used until a price file is loaded
 const TLD_PRICES = {
   '.com': 12,
   '.net': 12,
@@ -41,18 +61,183 @@ const TLD_PRICES = {
   '.build': 50,
 };
 
+const DEFAULTS = {
+  file: 'data/prices.json',
+  registrar: 'cheapest', // a registrar name from the price data, or the cheapest one per TLD
+  fetcher: null, // null | name | { name, ...options }
+  cacheFile: 'data/prices.cache.json',
+  maxAgeHours: 24 * 30,
+  basis: 'firstYear', // 'firstYear' | 'renewal' | 'total'
+  years: 3, // ownership period for basis 'total'
+};
+
+function builtinTable() {
+  const table = {};
+  for (const [tld, price] of Object.entries(TLD_PRICES)) {
+    table[tld] = { register: price, renew: price, transfer: price };
+  }
+  return { updatedAt: null, source: 'built-in estimates', currency: 'USD', registrars: { builtin: table } };
+}
+
+let settings = { ...DEFAULTS };
+let priceData = builtinTable();
+
+// --- Fetchers: async (options) => price data in the file shape above ---
+
+const FETCHERS = {
+  // Any URL that serves JSON in the price-file shape
+  url: async ({ url, headers, timeoutMs = 15000 }) => {
+    if (!url) throw new Error('url price fetcher needs a url');
+    const res = await limitedFetch(url, { headers, timeoutMs });
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    return res.json();
+  },
+};
+
+export function registerPriceFetcher(name, fetcher) {
+  FETCHERS[name] = fetcher;
+}
+
+function resolvePath(path) {
+  return isAbsolute(path) ? path : join(ROOT, path);
+}
+
+async function readPriceFile(path) {
+  try {
+    return JSON.parse(await readFile(resolvePath(path), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function ageHours(data, now = Date.now()) {
+  const at = Date.parse(data?.fetchedAt ?? data?.updatedAt ?? '');
+  return Number.isNaN(at) ? null : (now - at) / 3600000;
+}
+
+// Loads prices per config.pricing. Returns { source, ageHours, stale, error? } so callers can warn.
+export async function loadPrices(options = {}, { refresh = false } = {}) {
+  settings = { ...DEFAULTS, ...options };
+  let data = null;
+  let error = null;
+
+  if (settings.fetcher) {
+    const { name, ...fetcherOptions } = typeof settings.fetcher === 'string' ? { name: settings.fetcher } : settings.fetcher;
+    const fetcher = FETCHERS[name];
+    if (!fetcher) throw new Error(`Unknown price fetcher "${name}"`);
+
+    const cached = settings.cacheFile ? await readPriceFile(settings.cacheFile) : null;
+    const cacheAge = ageHours(cached);
+    if (!refresh && cached && cacheAge != null && cacheAge < settings.maxAgeHours) {
+      data = cached;
+    } else {
+      try {
+        data = { ...(await fetcher(fetcherOptions)), fetchedAt: new Date().toISOString() };
+        if (settings.cacheFile) await writeFileAtomic(resolvePath(settings.cacheFile), JSON.stringify(data, null, 2));
+      } catch (err) {
+        error = `price fetch failed: ${err.message}`;
+        data = cached; // stale beats nothing
+      }
+    }
+  }
+
+  data ??= settings.file ? await readPriceFile(settings.file) : null;
+  priceData = data?.registrars ? data : builtinTable();
+
+  const age = ageHours(priceData);
+  return {
+    source: priceData.source ?? (settings.fetcher ? 'fetched' : settings.file),
+    ageHours: age,
+    stale: age != null && age > settings.maxAgeHours,
+    ...(error ? { error } : {}),
+  };
+}
+
+function toDisplay(amount, currency) {
+  return convert(money(amount, currency))?.amount ?? null;
+}
+
+// { registrar, currency, register, renew, transfer } in the display currency,
+// or null when no registrar lists the TLD (or its currency has no rate)
+export function getPrices(tld) {
+  const candidates = [];
+  for (const [registrar, table] of Object.entries(priceData.registrars)) {
+    if (settings.registrar !== 'cheapest' && registrar !== settings.registrar) continue;
+    const p = table[tld];
+    if (p?.register == null) continue;
+    const currency = p.currency ?? priceData.currency ?? 'USD';
+    const register = toDisplay(p.register, currency);
+    if (register == null) continue;
+    const renew = toDisplay(p.renew ?? p.register, currency);
+    const transfer = toDisplay(p.transfer ?? p.renew ?? p.register, currency);
+    candidates.push({ registrar, currency: getDisplayCurrency(), register, renew, transfer });
+  }
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, p) => (yearlyCost(p) < yearlyCost(best) ? p : best));
+}
+
+// The one figure budgets are compared against
+export function yearlyCost({ register, renew }, basis = settings.basis, years = settings.years) {
+  if (basis === 'renewal') return renew;
+  if (basis === 'total') return (register + renew * (years - 1)) / years;
+  return register;
+}
+
+// First-year price as money, or null when unknown
 export function getPrice(tld) {
-  return TLD_PRICES[tld] ?? null;
+  const p = getPrices(tld);
+  return p ? money(p.register, p.currency) : null;
+}
+
+export function getRenewalPrice(tld) {
+  const p = getPrices(tld);
+  return p ? money(p.renew, p.currency) : null;
 }
 
 export function formatPrice(tld) {
-  const price = getPrice(tld);
-  return price != null ? `~$${price}/yr` : 'price unknown';
+  const p = getPrices(tld);
+  if (!p) return 'price unknown';
+  const first = formatMoney(money(p.register, p.currency), { approx: true });
+  return p.renew !== p.register ? `${first}, renews ${formatMoney(money(p.renew, p.currency), { approx: true, perYear: false })}` : first;
+}
+
+// What an available result will cost: the registry's premium quote, else the TLD price list.
+// `label` is for display; `price` and `renewPrice` are money in the display currency.
+export function quoteResult(domain, result) {
+  if (result.premium && result.eppPrice) {
+    const price = convert(result.eppPrice);
+    const label = price ? formatMoney(price) : `${formatMoney(result.eppPrice)}, no ${result.eppPrice.currency} rate`;
+    return { price, renewPrice: null, quotedPrice: result.eppPrice, label };
+  }
+  const tld = '.' + domain.split('.').pop();
+  return { price: getPrice(tld), renewPrice: getRenewalPrice(tld), label: formatPrice(tld) };
+}
+
+// Premiums are budgeted on the same `basis` as list prices. The registry quotes
+// only the first year, so renewals are taken from the TLD's list price (or the
+// quote, when the TLD has none). A quote that can't be priced in the display
+// currency counts as over budget.
+export function premiumOverBudget(domain, result, price, maxPrice) {
+  if (!result.premium) return false;
+  if (!price) return true;
+  const renew = getPrices('.' + domain.split('.').pop())?.renew ?? price.amount;
+  return yearlyCost({ register: price.amount, renew }) > maxPrice;
 }
 
+// true / false, or null when the TLD has no known price — callers decide what unknown means
 export function isAffordable(tld, maxPrice) {
-  const price = getPrice(tld);
-  return price != null && price <= maxPrice;
+  const p = getPrices(tld);
+  return p ? yearlyCost(p) <= maxPrice : null;
+}
+
+export function describeBasis() {
+  if (settings.basis === 'renewal') return 'renewal price';
+  if (settings.basis === 'total') return `average over ${settings.years} years`;
+  return 'first-year price';
+}
+
+export function getPriceTable() {
+  return priceData;
 }
 
-export { TLD_PRICES };
+export { TLD_PRICES, DEFAULTS };
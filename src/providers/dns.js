@@ -0,0 +1,36 @@
+import { Resolver } from 'dns/promises';
+
+// --- DNS NS records: weak signal, last resort ---
+
+// `answer` is { ns: [...] } from a lookup, or { code } from its error
+export function parseDnsAnswer({ ns = [], code = null }) {
+  if (ns.length > 0) return { method: 'dns', available: false, note: 'DNS fallback — verify before purchasing' };
+  if (code === 'ENOTFOUND') return { method: 'dns', available: true, note: 'DNS fallback — verify before purchasing' };
+  if (code && code !== 'ENODATA') return { method: 'dns', available: null, reason: code };
+  return { method: 'dns', available: null, reason: 'inconclusive' };
+}
+
+export function createDnsProvider(options = {}) {
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const resolver = new Resolver({ timeout: timeoutMs, tries: 1 });
+  if (options.servers) resolver.setServers(options.servers);
+
+  async function check(domain) {
+    const started = Date.now();
+    let answer;
+    try {
+      answer = { ns: await resolver.resolveNs(domain) };
+    } catch (err) {
+      answer = { code: err.code };
+    }
+    return { ...parseDnsAnswer(answer), raw: { latencyMs: Date.now() - started, payload: JSON.stringify(answer) } };
+  }
+
+  return {
+    name: 'dns',
+    tlds: null,
+    batch: false,
+    timeoutMs,
+    check,
+  };
+}
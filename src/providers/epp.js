@@ -0,0 +1,95 @@
+import { limitedFetch } from '../ratelimit.js';
+import { money } from '../currency.js';
+
+// --- EPP-level check via domains.revved.com ---
+// This is the same source of truth registrars use. Supports all TLDs.
+
+const DEFAULT_ENDPOINT = 'https://domains.revved.com/v1/domainStatus';
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0',
+  'Referer': 'https://www.namecheap.com/',
+  'Origin': 'https://www.namecheap.com',
+};
+
+export function parseEppEntry(entry) {
+  const result = {
+    method: 'epp',
+    available: entry.available,
+    ...(entry.reason ? { note: entry.reason } : {}),
+  };
+  // Premium quotes come in the registry's currency; conversion happens in pricing.js
+  if (entry.premium && entry.fee) {
+    result.premium = true;
+    result.eppPrice = money(Number(entry.fee.amount), entry.fee.currency ?? 'USD');
+  }
+  return result;
+}
+
+export function createEppProvider(options = {}) {
+  const endpoint = options.endpoint ?? DEFAULT_ENDPOINT;
+  const headers = { ...DEFAULT_HEADERS, ...options.headers };
+  const timeoutMs = options.timeoutMs ?? 10000;
+  const batchTimeoutMs = options.batchTimeoutMs ?? 15000;
+
+  // `raw` carries what the registry said, for the evidence log
+  async function check(domain) {
+    const started = Date.now();
+    try {
+      const url = `${endpoint}?domains=${encodeURIComponent(domain)}`;
+      const res = await limitedFetch(url, { headers, timeoutMs });
+      const text = await res.text();
+      const raw = { status: res.status, latencyMs: Date.now() - started, payload: text };
+      if (!res.ok) return { method: 'epp', available: null, reason: `HTTP ${res.status}`, raw };
+
+      const entry = JSON.parse(text).status?.find(s => s.name === domain);
+      if (!entry) return { method: 'epp', available: null, reason: 'domain not in response', raw };
+
+      return { ...parseEppEntry(entry), raw: { ...raw, payload: JSON.stringify(entry) } };
+    } catch (err) {
+      return { method: 'epp', available: null, reason: err.message, raw: { latencyMs: Date.now() - started } };
+    }
+  }
+
+  // Bulk check: sends multiple domains in one request. Domains it can't answer
+  // come back inconclusive, with the failure in `raw`, and the caller falls back.
+  async function checkBatch(domains) {
+    const results = new Map();
+    const started = Date.now();
+    const unanswered = (reason, raw) => {
+      for (const domain of domains) {
+        if (!results.has(domain)) results.set(domain, { method: 'epp', available: null, reason, raw });
+      }
+    };
+    try {
+      const query = domains.map(d => encodeURIComponent(d)).join(',');
+      const url = `${endpoint}?domains=${query}`;
+      // 429/5xx are retried with backoff inside limitedFetch before we give up
+      const res = await limitedFetch(url, { headers, timeoutMs: batchTimeoutMs });
+      const text = await res.text();
+      const latencyMs = Date.now() - started;
+      if (!res.ok) {
+        unanswered(`HTTP ${res.status}`, { status: res.status, latencyMs, payload: text });
+        return results;
+      }
+
+      for (const entry of (JSON.parse(text).status ?? [])) {
+        const raw = { status: res.status, latencyMs, payload: JSON.stringify(entry) };
+        results.set(entry.name, { ...parseEppEntry(entry), raw });
+      }
+      unanswered('domain not in response', { status: res.status, latencyMs });
+    } catch (err) {
+      unanswered(err.message, { latencyMs: Date.now() - started });
+    }
+    return results;
+  }
+
+  return {
+    name: 'epp',
+    tlds: null, // authoritative for ALL TLDs
+    batch: true,
+    timeoutMs,
+    check,
+    checkBatch,
+  };
+}
@@ -0,0 +1,107 @@
+import { limitedFetch } from '../ratelimit.js';
+
+// --- RDAP: registry lookup via the IANA bootstrap ---
+
+const DEFAULT_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+
+const FALLBACK_SERVERS = {
+  com: 'https://rdap.verisign.com/com/v1/',
+  net: 'https://rdap.verisign.com/net/v1/',
+  org: 'https://rdap.org.rdap.org/',
+  dev: 'https://pubapi.registry.google/rdap/',
+  app: 'https://pubapi.registry.google/rdap/',
+};
+
+// A 404 means no such domain, unless the registry explains it's blocked or reserved
+export function parseRdapResponse(status, body) {
+  if (status === 404) {
+    try {
+      const description = JSON.parse(body).description ?? [];
+      const desc = description.join(' ').toLowerCase();
+      if (desc.includes('blocked') || desc.includes('reserved') || desc.includes('not available')) {
+        return { method: 'rdap', available: false, note: description.join('; ') };
+      }
+    } catch {}
+    return { method: 'rdap', available: true };
+  }
+  if (status >= 200 && status < 300) return { method: 'rdap', available: false };
+  return { method: 'rdap', available: null, reason: `HTTP ${status}` };
+}
+
+export function createRdapProvider(options = {}) {
+  const bootstrapUrl = options.bootstrapUrl ?? DEFAULT_BOOTSTRAP_URL;
+  const timeoutMs = options.timeoutMs ?? 8000;
+
+  let bootstrap = null;
+
+  async function loadBootstrap() {
+    if (bootstrap) return bootstrap;
+    try {
+      const res = await fetch(bootstrapUrl, { signal: AbortSignal.timeout(timeoutMs) });
+      const data = await res.json();
+      bootstrap = {};
+      for (const [tlds, urls] of data.services) {
+        for (const tld of tlds) {
+          bootstrap[tld] = urls[0];
+        }
+      }
+    } catch {
+      bootstrap = { ...FALLBACK_SERVERS };
+    }
+    // Explicit servers (keyed by TLD without the dot) win over the bootstrap
+    Object.assign(bootstrap, options.servers);
+    return bootstrap;
+  }
+
+  async function domainUrl(domain) {
+    const servers = await loadBootstrap();
+    const server = servers[domain.split('.').pop()];
+    return server ? `${server.replace(/\/$/, '')}/domain/${domain}` : null;
+  }
+
+  async function check(domain) {
+    const url = await domainUrl(domain);
+    if (!url) return { method: 'rdap', available: null, reason: 'no RDAP server' };
+
+    const started = Date.now();
+    try {
+      const res = await limitedFetch(url, {
+        headers: { Accept: 'application/rdap+json' },
+        timeoutMs,
+      });
+      const body = await res.text().catch(() => '');
+      const raw = { status: res.status, latencyMs: Date.now() - started, source: url, payload: body };
+      return { ...parseRdapResponse(res.status, body), raw };
+    } catch (err) {
+      return { method: 'rdap', available: null, reason: err.message, raw: { latencyMs: Date.now() - started, source: url } };
+    }
+  }
+
+  // Full RDAP record, for callers that need events and status codes (watchlist)
+  async function lookup(domain) {
+    const url = await domainUrl(domain);
+    if (!url) return { error: 'no RDAP server' };
+
+    try {
+      const res = await limitedFetch(url, {
+        headers: { Accept: 'application/rdap+json' },
+        timeoutMs,
+      });
+      if (res.status === 404) return { registered: false };
+      if (!res.ok) return { error: `HTTP ${res.status}` };
+      return { registered: true, record: await res.json() };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return {
+    name: 'rdap',
+    tlds: null, // whatever the bootstrap covers
+    batch: false,
+    timeoutMs,
+    check,
+    lookup,
+    warmup: loadBootstrap,
+  };
+}
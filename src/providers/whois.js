@@ -0,0 +1,205 @@
+import net from 'net';
+import { acquire, report } from '../ratelimit.js';
+
+// --- WHOIS over TCP 43: for TLDs without RDAP (.is, .to, .at, .de, ...) ---
+
+// Per-registry response patterns. `available` means "no such object",
+// `reserved` means the registry holds it back, `taken` adds to the field check
+// for registries whose answers carry no fields.
+const REGISTRIES = {
+  verisign: {
+    available: [/^No match for "/im],
+  },
+  identityDigital: {
+    available: [/^Domain not found\./im, /^NOT FOUND$/im],
+    reserved: [/reserved by the registry/i, /^This name is reserved/im],
+  },
+  centralnic: {
+    available: [/^DOMAIN NOT FOUND/im, /The queried object does not exist/i],
+    reserved: [/^Reserved by Registry/im, /reserved name/i],
+  },
+  google: {
+    available: [/^Domain not found\./im],
+    reserved: [/This name is reserved/i],
+  },
+  godaddy: {
+    available: [/^No Data Found/im, /The queried object does not exist/i],
+    reserved: [/reserved by the registry/i, /not available for registration/i],
+  },
+  isnic: {
+    available: [/^% No entries found/im],
+  },
+  tonic: {
+    available: [/^No match for/im],
+    taken: [/^Tonic whoisd/im], // a header, then one "label nameserver" line per NS
+  },
+  nicat: {
+    available: [/^% nothing found/im],
+  },
+  denic: {
+    available: [/^Status:\s*free/im],
+    reserved: [/^Status:\s*invalid/im],
+  },
+  nominet: {
+    available: [/^\s*No match for/im],
+    reserved: [/This domain cannot be registered/i],
+  },
+  nicit: {
+    available: [/^Status:\s*AVAILABLE/im],
+    reserved: [/^Status:\s*(UNASSIGNABLE|RESERVED)/im],
+  },
+  eurid: {
+    available: [/^Status:\s*AVAILABLE/im],
+    reserved: [/^Status:\s*NOT AVAILABLE/im],
+  },
+  channelIsles: {
+    available: [/^NOT FOUND/im],
+    // The status sits on the line after its heading; the footer says "All rights reserved."
+    reserved: [/^Domain Status:\s+Reserved\b/im],
+  },
+};
+
+const GENERIC = {
+  available: [/^No match for/im, /^Domain not found/im, /^NOT FOUND/im, /^No Data Found/im, /^No entries found/im, /The queried object does not exist/i],
+  reserved: [/^This name is reserved/im, /reserved by the registry/i, /not available for registration/i],
+};
+
+// Throttling notices look alike across registries
+const LIMITED = [/limit (exceeded|reached)/i, /quota[^\n]*exceeded/i, /too many (queries|requests)/i, /try again later/i, /access denied/i];
+
+const WHOIS_SERVERS = {
+  com: { host: 'whois.verisign-grs.com', registry: 'verisign' },
+  net: { host: 'whois.verisign-grs.com', registry: 'verisign' },
+  cc: { host: 'ccwhois.verisign-grs.com', registry: 'verisign' },
+  tv: { host: 'tvwhois.verisign-grs.com', registry: 'verisign' },
+  org: { host: 'whois.publicinterestregistry.org', registry: 'identityDigital' },
+  io: { host: 'whois.nic.io', registry: 'identityDigital' },
+  sh: { host: 'whois.nic.sh', registry: 'identityDigital' },
+  ai: { host: 'whois.nic.ai', registry: 'identityDigital' },
+  me: { host: 'whois.nic.me', registry: 'identityDigital' },
+  cool: { host: 'whois.nic.cool', registry: 'identityDigital' },
+  wtf: { host: 'whois.nic.wtf', registry: 'identityDigital' },
+  ninja: { host: 'whois.nic.ninja', registry: 'identityDigital' },
+  codes: { host: 'whois.nic.codes', registry: 'identityDigital' },
+  run: { host: 'whois.nic.run', registry: 'identityDigital' },
+  life: { host: 'whois.nic.life', registry: 'identityDigital' },
+  world: { host: 'whois.nic.world', registry: 'identityDigital' },
+  zone: { host: 'whois.nic.zone', registry: 'identityDigital' },
+  build: { host: 'whois.nic.build', registry: 'identityDigital' },
+  xyz: { host: 'whois.nic.xyz', registry: 'centralnic' },
+  tech: { host: 'whois.nic.tech', registry: 'centralnic' },
+  site: { host: 'whois.nic.site', registry: 'centralnic' },
+  online: { host: 'whois.nic.online', registry: 'centralnic' },
+  fun: { host: 'whois.nic.fun', registry: 'centralnic' },
+  cloud: { host: 'whois.nic.cloud', registry: 'centralnic' },
+  dev: { host: 'whois.nic.google', registry: 'google' },
+  app: { host: 'whois.nic.google', registry: 'google' },
+  page: { host: 'whois.nic.google', registry: 'google' },
+  co: { host: 'whois.registry.co', registry: 'godaddy' },
+  lol: { host: 'whois.nic.lol', registry: 'godaddy' },
+  us: { host: 'whois.nic.us', registry: 'godaddy' },
+  in: { host: 'whois.registry.in', registry: 'godaddy' },
+  so: { host: 'whois.nic.so', registry: 'godaddy' },
+  is: { host: 'whois.isnic.is', registry: 'isnic' },
+  to: { host: 'whois.tonic.to', registry: 'tonic' },
+  at: { host: 'whois.nic.at', registry: 'nicat' },
+  de: { host: 'whois.denic.de', registry: 'denic', query: domain => `-T dn,ace ${domain}` },
+  uk: { host: 'whois.nic.uk', registry: 'nominet' },
+  it: { host: 'whois.nic.it', registry: 'nicit' },
+  eu: { host: 'whois.eu', registry: 'eurid' },
+  gg: { host: 'whois.gg', registry: 'channelIsles' },
+};
+
+// Registered objects carry at least one of these fields
+const TAKEN = /^\s*(Domain Name|domain|Registrar|Creation Date|created|registered)\s*:|^Status:\s*(connect|ok|active)\b/im;
+
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const EXCERPT_LENGTH = 200;
+
+export function queryWhois(host, query, { port = 43, timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const socket = net.createConnection({ host, port });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`WHOIS timeout after ${timeoutMs}ms`)));
+    socket.on('connect', () => socket.write(`${query}\r\n`));
+    socket.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_RESPONSE_BYTES) chunks.push(chunk);
+    });
+    socket.on('error', reject);
+    socket.on('close', hadError => {
+      if (!hadError) resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+  });
+}
+
+function excerpt(text, pattern) {
+  const lines = text.split(/\r?\n/).map(l => l.trim());
+  const match = pattern && lines.find(l => pattern.test(l));
+  const picked = match
+    ? [match]
+    : lines.filter(l => l && !l.startsWith('%') && !l.startsWith('#') && !l.startsWith('>>>')).slice(0, 3);
+  const joined = picked.join(' | ');
+  return joined.length > EXCERPT_LENGTH ? joined.slice(0, EXCERPT_LENGTH - 1) + '…' : joined;
+}
+
+export function parseWhoisResponse(text, registry) {
+  const patterns = REGISTRIES[registry] ?? GENERIC;
+
+  const reserved = (patterns.reserved ?? GENERIC.reserved).find(p => p.test(text));
+  if (reserved) return { method: 'whois', available: false, reserved: true, note: excerpt(text, reserved) };
+
+  const available = patterns.available.find(p => p.test(text));
+  if (available) return { method: 'whois', available: true, note: excerpt(text, available) };
+
+  const taken = [TAKEN, ...(patterns.taken ?? [])].find(p => p.test(text));
+  if (taken) return { method: 'whois', available: false, note: excerpt(text) };
+
+  // Only now: terms-of-use footers on ordinary answers say things like "try again later"
+  const limited = LIMITED.find(p => p.test(text));
+  if (limited) return { method: 'whois', available: null, reason: `rate limited: ${excerpt(text, limited)}` };
+
+  return { method: 'whois', available: null, reason: text.trim() ? `unrecognised response: ${excerpt(text)}` : 'empty response' };
+}
+
+export function createWhoisProvider(options = {}) {
+  const timeoutMs = options.timeoutMs ?? 10000;
+  const port = options.port ?? 43;
+
+  // Overrides are keyed by TLD without the dot: { is: 'whois.example' } or { is: { host, registry } }
+  const servers = { ...WHOIS_SERVERS };
+  for (const [tld, server] of Object.entries(options.servers ?? {})) {
+    servers[tld] = typeof server === 'string' ? { ...servers[tld], host: server } : server;
+  }
+
+  async function check(domain) {
+    const server = servers[domain.split('.').pop()];
+    if (!server) return { method: 'whois', available: null, reason: 'no WHOIS server' };
+
+    let started = Date.now();
+    try {
+      const query = server.query ? server.query(domain) : domain;
+      await acquire(server.host);
+      started = Date.now();
+      const text = await queryWhois(server.host, query, { port: server.port ?? port, timeoutMs });
+      const result = parseWhoisResponse(text, server.registry);
+      const throttled = result.reason?.startsWith('rate limited');
+      report(server.host, { ok: !throttled, throttled });
+      const raw = { latencyMs: Date.now() - started, source: server.host, registry: server.registry, payload: text };
+      return { ...result, raw };
+    } catch (err) {
+      report(server.host, { ok: false });
+      return { method: 'whois', available: null, reason: err.message, raw: { latencyMs: Date.now() - started, source: server.host } };
+    }
+  }
+
+  return {
+    name: 'whois',
+    tlds: Object.keys(servers).map(t => '.' + t),
+    batch: false,
+    timeoutMs,
+    check,
+  };
+}
@@ -0,0 +1,171 @@
+// --- Per-host token buckets with adaptive rate and exponential backoff ---
+// Every outbound request acquires a token for its host first. 429/5xx halve
+// that host's rate and block it for Retry-After (or an exponential backoff);
+// successes creep the rate back up. The scan loop asks for a concurrency level
+// each round, which shrinks when errors spike and recovers once they calm down.
+
+export const DEFAULTS = {
+  requestsPerSecond: 10,
+  burst: 20,
+  minRequestsPerSecond: 0.5,
+  maxRetries: 3,
+  baseBackoffMs: 1000,
+  maxBackoffMs: 60000,
+  errorThreshold: 0.2,
+  hosts: {},
+};
+
+const RATE_WINDOW_MS = 10000;
+
+let settings = { ...DEFAULTS };
+const buckets = new Map();
+
+let completed = []; // timestamps of finished requests, for the effective rate
+let windowOk = 0;
+let windowErrors = 0;
+let concurrency = null;
+
+export function configureRateLimit(options = {}) {
+  settings = { ...DEFAULTS, ...options, hosts: { ...options.hosts } };
+  buckets.clear();
+  completed = [];
+  windowOk = 0;
+  windowErrors = 0;
+  concurrency = null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getBucket(host) {
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    const opts = { ...settings, ...settings.hosts[host] };
+    bucket = {
+      maxRate: opts.requestsPerSecond,
+      rate: opts.requestsPerSecond,
+      minRate: Math.min(opts.minRequestsPerSecond, opts.requestsPerSecond),
+      burst: opts.burst,
+      tokens: opts.burst,
+      refilledAt: Date.now(),
+      blockedUntil: 0,
+      failures: 0,
+    };
+    buckets.set(host, bucket);
+  }
+  return bucket;
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.refilledAt) / 1000) * bucket.rate);
+  bucket.refilledAt = now;
+}
+
+export async function acquire(host) {
+  const bucket = getBucket(host);
+  for (;;) {
+    const now = Date.now();
+    if (now < bucket.blockedUntil) {
+      await sleep(bucket.blockedUntil - now);
+      continue;
+    }
+    refill(bucket, now);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+  }
+}
+
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(failures) {
+  const exp = settings.baseBackoffMs * 2 ** (failures - 1);
+  return Math.min(settings.maxBackoffMs, exp * (0.8 + Math.random() * 0.4));
+}
+
+function recordCompletion() {
+  const now = Date.now();
+  completed.push(now);
+  while (completed.length > 0 && completed[0] < now - RATE_WINDOW_MS) completed.shift();
+}
+
+// Call after every request to a host. Throttled responses slow the host down.
+export function report(host, { ok, throttled = false, retryAfterMs = null }) {
+  const bucket = getBucket(host);
+  recordCompletion();
+
+  if (ok) {
+    windowOk++;
+    bucket.failures = 0;
+    bucket.rate = Math.min(bucket.maxRate, bucket.rate + bucket.maxRate / 50);
+    return 0;
+  }
+
+  windowErrors++;
+  if (!throttled) return 0;
+
+  bucket.failures++;
+  bucket.rate = Math.max(bucket.minRate, bucket.rate / 2);
+  const delay = retryAfterMs ?? backoffDelay(bucket.failures);
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+  return delay;
+}
+
+function isThrottled(status) {
+  return status === 429 || status >= 500;
+}
+
+// fetch() behind the host's bucket. Takes `timeoutMs` instead of a signal so
+// each retry gets a fresh timeout. Returns the last response once retries run out.
+export async function limitedFetch(url, { timeoutMs = 10000, ...init } = {}) {
+  const host = new URL(url).host;
+  for (let attempt = 0; ; attempt++) {
+    await acquire(host);
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (err) {
+      report(host, { ok: false });
+      throw err;
+    }
+
+    if (!isThrottled(res.status)) {
+      report(host, { ok: true });
+      return res;
+    }
+
+    report(host, { ok: false, throttled: true, retryAfterMs: parseRetryAfter(res.headers.get('retry-after')) });
+    if (attempt >= settings.maxRetries) return res;
+    await res.body?.cancel();
+  }
+}
+
+// Called once per scan round: halve concurrency when the error rate since the
+// last round crossed the threshold, add one back after a clean round.
+export function nextConcurrency(max) {
+  const total = windowOk + windowErrors;
+  const errorRate = total > 0 ? windowErrors / total : 0;
+  windowOk = 0;
+  windowErrors = 0;
+
+  if (concurrency === null) concurrency = max;
+  else if (errorRate > settings.errorThreshold) concurrency = Math.max(1, Math.floor(concurrency / 2));
+  else if (errorRate === 0) concurrency = Math.min(max, concurrency + 1);
+  return concurrency;
+}
+
+// Requests per second actually completed over the last few seconds
+export function getEffectiveRate() {
+  const now = Date.now();
+  const recent = completed.filter(t => t >= now - RATE_WINDOW_MS);
+  return recent.length / (RATE_WINDOW_MS / 1000);
+}
@@ -0,0 +1,80 @@
+import { checkDomainsBatch } from './checker.js';
+import { quoteResult } from './pricing.js';
+import { getEffectiveRate, nextConcurrency } from './ratelimit.js';
+import {
+  getFound,
+  recordObservation,
+  saveResults,
+  printStillAvailable,
+  printLost,
+  printError,
+  printBatchProgress,
+  printRecheckSummary,
+} from './reporter.js';
+
+// --- Recheck: re-verify every found domain and record what we see ---
+// Lost domains are rechecked too, so a dropped-again name comes back.
+
+export async function recheckFound(config) {
+  const batchSize = config.batchSize || 50;
+  const concurrentBatches = config.concurrentBatches || 3;
+
+  const entries = new Map(getFound().map(f => [f.domain, f]));
+  const domains = [...entries.keys()];
+  let verified = 0;
+  let lost = 0;
+  let inconclusive = 0;
+  let roundNum = 0;
+
+  for (let offset = 0; offset < domains.length;) {
+    const concurrency = nextConcurrency(concurrentBatches);
+    const round = domains.slice(offset, offset + batchSize * concurrency);
+    offset += round.length;
+
+    roundNum++;
+    printBatchProgress(roundNum, round.length, { concurrency, rate: getEffectiveRate() });
+
+    const batches = [];
+    for (let i = 0; i < round.length; i += batchSize) {
+      batches.push(round.slice(i, i + batchSize));
+    }
+    const batchResults = await Promise.allSettled(batches.map(batch => checkDomainsBatch(batch)));
+
+    const results = new Map();
+    for (const r of batchResults) {
+      if (r.status === 'fulfilled') {
+        for (const [domain, result] of r.value) results.set(domain, result);
+      }
+    }
+
+    for (const domain of round) {
+      const result = results.get(domain);
+      if (!result || result.available === null) {
+        inconclusive++;
+        printError(domain, result?.reason ?? 'no result');
+        continue;
+      }
+
+      const { price, label } = quoteResult(domain, result);
+      const wasLost = entries.get(domain).status === 'lost';
+      const entry = recordObservation(domain, {
+        available: result.available,
+        premium: result.premium ?? false,
+        price,
+      });
+
+      if (entry.status === 'available') {
+        verified++;
+        printStillAvailable(domain, label + (result.premium ? ' [PREMIUM]' : ''));
+      } else {
+        lost++;
+        if (!wasLost) printLost(domain);
+      }
+    }
+
+    await saveResults();
+  }
+
+  printRecheckSummary(verified, lost, inconclusive);
+  return { verified, lost, inconclusive };
+}
@@ -1,22 +1,33 @@
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadChecked, appendChecked, compactChecked, writeFileAtomic } from './store.js';
+import { loadDictionary, scoreEntry } from './scoring.js';
+import { convert, formatMoney, money, parseMoney, sameMoney } from './currency.js';
+import { describeName, toUnicode } from './idn.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const CHECKED_PATH = join(__dirname, '..', 'data', 'checked.json');
+const DATA_DIR = join(__dirname, '..', 'data');
 const FOUND_PATH = join(__dirname, '..', 'data', 'found.json');
 const STATUS_PATH = join(__dirname, '..', 'data', 'status.json');
+const RETRY_PATH = join(__dirname, '..', 'data', 'retry.json');
+const CURSORS_PATH = join(__dirname, '..', 'data', 'cursors.json');
+const HIT_RATES_PATH = join(__dirname, '..', 'data', 'hitrates.json');
+const REVIEW_PATH = join(__dirname, '..', 'data', 'review.json');
 
-let results = { found: [], checked: new Set() };
+// Fold the journal into checked.json once it grows past this many lines
+const COMPACT_AFTER = 50000;
+
+let results = { found: [], checked: new Set(), retry: new Map(), cursors: { seed: null, positions: {} }, hitRates: {}, review: [] };
+let pendingChecked = []; // checked since the last save, not yet journaled
+let journalLines = 0;
 
 export async function loadResults() {
-  // Load checked set (committed to repo)
-  try {
-    const raw = await readFile(CHECKED_PATH, 'utf8');
-    results.checked = new Set(JSON.parse(raw));
-  } catch {
-    results.checked = new Set();
-  }
+  // Load checked set (snapshot committed to repo + append-only journal)
+  const loaded = await loadChecked(DATA_DIR);
+  results.checked = loaded.checked;
+  journalLines = loaded.journalLines;
+  pendingChecked = [];
 
   // Load found list (local only, gitignored)
   try {
@@ -26,12 +37,44 @@ export async function loadResults() {
     results.found = [];
   }
 
+  // Load retry queue (inconclusive domains, committed like checked.json)
+  try {
+    const raw = await readFile(RETRY_PATH, 'utf8');
+    results.retry = new Map(Object.entries(JSON.parse(raw)));
+  } catch {
+    results.retry = new Map();
+  }
+
+  // Load generator cursors (seed + per-strategy positions, committed)
+  try {
+    const raw = await readFile(CURSORS_PATH, 'utf8');
+    results.cursors = { seed: null, positions: {}, ...JSON.parse(raw) };
+  } catch {
+    results.cursors = { seed: null, positions: {} };
+  }
+
+  // Load per-strategy hit counts (drive adaptive scheduling, committed)
+  try {
+    const raw = await readFile(HIT_RATES_PATH, 'utf8');
+    results.hitRates = JSON.parse(raw);
+  } catch {
+    results.hitRates = {};
+  }
+
+  // Load finds that failed verification (local only, gitignored like found.json)
+  try {
+    const raw = await readFile(REVIEW_PATH, 'utf8');
+    results.review = JSON.parse(raw);
+  } catch {
+    results.review = [];
+  }
+
   // Backwards compat: migrate from old results.json
   try {
     const raw = await readFile(join(__dirname, '..', 'data', 'results.json'), 'utf8');
     const old = JSON.parse(raw);
     if (old.checked) {
-      for (const d of old.checked) results.checked.add(d);
+      for (const d of old.checked) markChecked(d);
     }
     if (old.found) {
       const existing = new Set(results.found.map(f => f.domain));
@@ -44,17 +87,63 @@ export async function loadResults() {
     }
   } catch {}
 
+  for (const entry of results.found) normalizePrices(entry);
   return results;
 }
 
-export async function saveResults() {
-  await mkdir(dirname(CHECKED_PATH), { recursive: true });
+// Prices are kept in the display currency. Older entries carry "$89/yr" strings
+// (plus priceAmount/renewAmount in dollars); history keeps what was observed.
+export function normalizePrices(entry) {
+  if (typeof entry.price === 'string' || 'priceAmount' in entry) {
+    entry.price = entry.priceAmount != null ? money(entry.priceAmount, 'USD') : parseMoney(entry.price);
+    delete entry.priceAmount;
+  }
+  if ('renewAmount' in entry) {
+    entry.renewPrice = entry.renewAmount != null ? money(entry.renewAmount, 'USD') : null;
+    delete entry.renewAmount;
+  }
+  entry.price = convert(entry.price) ?? entry.price ?? null;
+  if (entry.renewPrice) entry.renewPrice = convert(entry.renewPrice) ?? entry.renewPrice;
+  for (const h of entry.history ?? []) {
+    if (typeof h.price === 'string') h.price = parseMoney(h.price);
+  }
+}
+
+// Pass { compact: true } at the end of a run so checked.json is complete when committed
+export async function saveResults({ compact = false } = {}) {
+  // Append newly checked domains to the journal
+  await appendChecked(DATA_DIR, pendingChecked);
+  journalLines += pendingChecked.length;
+  pendingChecked = [];
 
-  // Save checked set (will be committed)
-  await writeFile(CHECKED_PATH, JSON.stringify([...results.checked]));
+  if (compact || journalLines >= COMPACT_AFTER) {
+    await compactChecked(DATA_DIR, results.checked);
+    journalLines = 0;
+  }
+
+  // Score anything new or changed, best first
+  const words = await loadDictionary();
+  for (const entry of results.found) {
+    if (entry.score == null) scoreEntry(entry, words);
+  }
+  results.found.sort((a, b) => b.score - a.score);
 
   // Save found list (gitignored, encrypted separately)
-  await writeFile(FOUND_PATH, JSON.stringify(results.found, null, 2));
+  await writeFileAtomic(FOUND_PATH, JSON.stringify(results.found, null, 2));
+
+  // Save retry queue (will be committed)
+  await writeFileAtomic(RETRY_PATH, JSON.stringify(Object.fromEntries(results.retry), null, 2));
+
+  // Save generator cursors (will be committed)
+  await writeFileAtomic(CURSORS_PATH, JSON.stringify(results.cursors, null, 2));
+
+  // Save per-strategy hit counts (will be committed)
+  await writeFileAtomic(HIT_RATES_PATH, JSON.stringify(results.hitRates, null, 2));
+
+  // Save the review queue, once there is one
+  if (results.review.length > 0) {
+    await writeFileAtomic(REVIEW_PATH, JSON.stringify(results.review, null, 2));
+  }
 }
 
 export function wasChecked(domain) {
@@ -62,23 +151,160 @@ export function wasChecked(domain) {
 }
 
 export function markChecked(domain) {
+  if (results.checked.has(domain)) return;
   results.checked.add(domain);
+  pendingChecked.push(domain);
+}
+
+// --- Generator cursors: positions are keyed by strategy fingerprint ---
+
+export function getCursors() {
+  return results.cursors;
+}
+
+export function setCursors(seed, positions) {
+  results.cursors = { seed, positions: { ...results.cursors.positions, ...positions } };
+}
+
+// --- Hit rates: conclusive checks and finds per strategy ---
+
+// The live object — the generator reads it to re-weigh strategies mid-run
+export function getHitRates() {
+  return results.hitRates;
+}
+
+export function recordHit(strategy, found) {
+  const entry = (results.hitRates[strategy] ??= { checked: 0, found: 0 });
+  entry.checked++;
+  if (found) entry.found++;
+}
+
+// --- Retry queue: inconclusive domains get re-checked in later rounds/runs ---
+
+export function queueRetry(domain, strategy, reason, maxAttempts) {
+  const entry = results.retry.get(domain) ?? { strategy, attempts: 0 };
+  entry.attempts++;
+  entry.lastReason = reason;
+  entry.lastTriedAt = new Date().toISOString();
+  if (entry.attempts >= maxAttempts) {
+    // Give up: stop generating it, but keep it in the queue so it shows as unresolved
+    entry.exhausted = true;
+    markChecked(domain);
+  }
+  results.retry.set(domain, entry);
+  return entry;
+}
+
+export function resolveRetry(domain) {
+  results.retry.delete(domain);
+}
+
+export function isQueuedForRetry(domain) {
+  return results.retry.has(domain);
+}
+
+// Pending retries whose backoff (delayMs × attempts) has elapsed
+export function dueRetries(limit, delayMs, accept = () => true) {
+  const now = Date.now();
+  const due = [];
+  for (const [domain, entry] of results.retry) {
+    if (due.length >= limit) break;
+    if (entry.exhausted || !accept(domain)) continue;
+    if (Date.parse(entry.lastTriedAt) + delayMs * entry.attempts > now) continue;
+    due.push({ domain, strategy: entry.strategy, tld: '.' + domain.split('.').pop() });
+  }
+  return due;
 }
 
 export function addResult(entry) {
-  results.found.push(entry);
+  results.found.push({
+    ...entry,
+    status: 'available',
+    history: [{ at: entry.checkedAt, available: true, premium: entry.premium, price: entry.price }],
+  });
+}
+
+// Finds whose verification disagreed (or fell short of minConfidence) wait here instead of found.json
+export function holdForReview(entry) {
+  results.review = results.review.filter(r => r.domain !== entry.domain);
+  results.review.push(entry);
+}
+
+export function getReview() {
+  return results.review;
+}
+
+// --- Availability history: re-verification of found domains ---
+
+export function getFound() {
+  return results.found;
+}
+
+// Appends an observation; a found domain that is now taken is marked lost, never deleted
+export function recordObservation(domain, { available, premium = false, price = null }) {
+  const entry = results.found.find(f => f.domain === domain);
+  if (!entry) return null;
+
+  const at = new Date().toISOString();
+  // Entries from before history tracking start with their original find
+  entry.history ??= [{ at: entry.checkedAt, available: true, premium: entry.premium, price: entry.price }];
+  entry.history.push({ at, available, premium, price });
+  entry.lastVerifiedAt = at;
+
+  if (available) {
+    entry.status = 'available';
+    delete entry.lostAt;
+    if (entry.premium !== premium || (price && !sameMoney(entry.price, price))) delete entry.score; // rescored on save
+    entry.premium = premium;
+    if (price) entry.price = price;
+  } else if (entry.status !== 'lost') {
+    entry.status = 'lost';
+    entry.lostAt = at;
+  }
+  return entry;
 }
 
 export function getStats() {
+  let exhausted = 0;
+  for (const entry of results.retry.values()) {
+    if (entry.exhausted) exhausted++;
+  }
+  const lost = results.found.filter(f => f.status === 'lost').length;
   return {
     checked: results.checked.size,
-    found: results.found.length,
+    found: results.found.length - lost,
+    lost,
+    unresolved: results.retry.size,
+    exhausted,
+    review: results.review.length,
   };
 }
 
+// Checked/found/lost counts per TLD; found/lost and hit rate per strategy
+export function getBreakdown() {
+  const byTld = {};
+  const byStrategy = {};
+  const tldRow = tld => (byTld[tld] ??= { checked: 0, found: 0, lost: 0 });
+
+  for (const domain of results.checked) {
+    tldRow('.' + domain.split('.').pop()).checked++;
+  }
+  for (const entry of results.found) {
+    const key = entry.status === 'lost' ? 'lost' : 'found';
+    tldRow(entry.tld ?? '.' + entry.domain.split('.').pop())[key]++;
+    (byStrategy[entry.strategy ?? 'unknown'] ??= { found: 0, lost: 0 })[key]++;
+  }
+  // Hit rate counts every find, including ones lost since
+  for (const [strategy, { checked, found }] of Object.entries(results.hitRates)) {
+    const row = (byStrategy[strategy] ??= { found: 0, lost: 0 });
+    row.checked = checked;
+    row.hitRate = checked > 0 ? `${(found / checked * 100).toFixed(2)}%` : '-';
+  }
+  return { byTld, byStrategy };
+}
+
 export async function saveStatus(statusData) {
-  await mkdir(dirname(STATUS_PATH), { recursive: true });
-  await writeFile(STATUS_PATH, JSON.stringify(statusData, null, 2));
+  await writeFileAtomic(STATUS_PATH, JSON.stringify(statusData, null, 2));
 }
 
 // Terminal colors (no dependencies)
@@ -109,37 +335,169 @@ ${c.cyan}${c.bold}  ____                        _         ____           _
 
 export function printAvailable(domain, strategy, price) {
   console.log(
-    `  ${c.bgGreen}${c.bold} AVAILABLE ${c.reset} ${c.green}${c.bold}${domain}${c.reset}  ${c.dim}[${strategy}]${c.reset}  ${c.yellow}${price}${c.reset}`
+    `  ${c.bgGreen}${c.bold} AVAILABLE ${c.reset} ${c.green}${c.bold}${describeName(domain)}${c.reset}  ${c.dim}[${strategy}]${c.reset}  ${c.yellow}${price}${c.reset}`
   );
 }
 
 export function printTaken(domain) {
   process.stdout.write(
-    `\r  ${c.dim}checked: ${domain.padEnd(30)}${c.reset}`
+    `\r  ${c.dim}checked: ${toUnicode(domain).padEnd(30)}${c.reset}`
   );
 }
 
 export function printError(domain, reason) {
   process.stdout.write(
-    `\r  ${c.yellow}? ${domain.padEnd(30)} ${c.dim}(${reason})${c.reset}`
+    `\r  ${c.yellow}? ${toUnicode(domain).padEnd(30)} ${c.dim}(${reason})${c.reset}`
+  );
+}
+
+export function printStats(checked, found, unresolved = 0, exhausted = 0) {
+  const pending = unresolved > 0
+    ? `, ${c.yellow}${unresolved} unresolved${exhausted > 0 ? ` (${exhausted} gave up)` : ''}${c.reset}`
+    : '';
+  console.log(
+    `\n  ${c.cyan}${c.bold}Stats:${c.reset} ${checked} checked, ${c.green}${found} available${c.reset}${pending}\n`
+  );
+}
+
+export function printBreakdown({ byTld, byStrategy }) {
+  const rows = (title, table, columns) => {
+    const entries = Object.entries(table).sort((a, b) => b[1][columns[0]] - a[1][columns[0]]);
+    if (entries.length === 0) return;
+    console.log(`  ${c.cyan}${c.bold}${title.padEnd(20)}${c.reset}${columns.map(col => c.dim + col.padStart(10) + c.reset).join('')}`);
+    for (const [name, counts] of entries) {
+      console.log(`  ${name.padEnd(20)}${columns.map(col => String(counts[col] ?? '-').padStart(10)).join('')}`);
+    }
+    console.log();
+  };
+  rows('By TLD', byTld, ['checked', 'found', 'lost']);
+  rows('By strategy', byStrategy, ['found', 'lost', 'checked', 'hitRate']);
+}
+
+// One-off lookup result from the `check` command
+export function printCheckResult(domain, result, price) {
+  if (result.available === true) {
+    console.log(`  ${c.green}✓ ${toUnicode(domain).padEnd(30)}${c.reset} ${c.yellow}${price}${c.reset}${result.premium ? ` ${c.magenta}[PREMIUM]${c.reset}` : ''} ${c.dim}(${result.method})${c.reset}`);
+  } else if (result.available === false) {
+    console.log(`  ${c.red}✗ ${toUnicode(domain).padEnd(30)}${c.reset} ${c.dim}taken (${result.method})${result.reserved ? ', reserved' : ''}${c.reset}`);
+  } else {
+    console.log(`  ${c.yellow}? ${toUnicode(domain).padEnd(30)}${c.reset} ${c.dim}${result.reason ?? 'inconclusive'}${c.reset}`);
+  }
+  if (result.note) console.log(`    ${c.dim}${result.note}${c.reset}`);
+}
+
+export function printStillAvailable(domain, price) {
+  console.log(
+    `  ${c.green}✓ ${toUnicode(domain).padEnd(30)}${c.reset} ${c.dim}still available${c.reset}  ${c.yellow}${price}${c.reset}`
   );
 }
 
-export function printStats(checked, found) {
+export function printLost(domain) {
   console.log(
-    `\n  ${c.cyan}${c.bold}Stats:${c.reset} ${checked} checked, ${c.green}${found} available${c.reset}\n`
+    `  ${c.bgRed}${c.bold} LOST ${c.reset} ${c.red}${describeName(domain)}${c.reset}  ${c.dim}now registered${c.reset}`
   );
 }
 
+export function printRecheckSummary(verified, lost, inconclusive) {
+  console.log(
+    `\n  ${c.cyan}${c.bold}Recheck:${c.reset} ${c.green}${verified} still available${c.reset}, ${c.red}${lost} lost${c.reset}, ${inconclusive} inconclusive\n`
+  );
+}
+
+export function printWatchEntry(entry) {
+  const color = entry.phase === 'available' ? c.green : entry.phase === 'registered' ? c.dim : c.yellow;
+  const drop = entry.predictedDropAt ? `drops ~${entry.predictedDropAt.slice(0, 10)}` : 'no drop date';
+  const next = entry.nextPollAt && entry.phase !== 'available' ? `, next poll ${entry.nextPollAt.slice(11, 16)}` : '';
+  console.log(
+    `  ${color}${toUnicode(entry.domain).padEnd(30)} ${entry.phase.padEnd(14)}${c.reset} ${c.dim}${drop}${next}${entry.note ? ` (${entry.note})` : ''}${c.reset}`
+  );
+}
+
+export function printRejected(byStrategy) {
+  const entries = Object.entries(byStrategy);
+  if (entries.length === 0) return;
+  const total = entries.reduce((sum, [, n]) => sum + n, 0);
+  const parts = entries.sort((a, b) => b[1] - a[1]).map(([name, n]) => `${name} ${n}`).join(', ');
+  console.log(`  ${c.dim}Quality gate skipped ${total}: ${parts}${c.reset}\n`);
+}
+
+export function printPricing({ source, ageHours, stale, error }, unpricedTlds = [], unknownPrices = 'check') {
+  const age = ageHours != null ? `, ${ageHours < 48 ? `${Math.round(ageHours)}h` : `${Math.round(ageHours / 24)} days`} old` : '';
+  console.log(`  Prices: ${source}${age}`);
+  if (error) console.log(`  ${c.yellow}! ${error} — using ${stale ? 'stale ' : ''}cached prices${c.reset}`);
+  else if (stale) console.log(`  ${c.yellow}! Price data is stale — refresh it with \`domain-radar prices --refresh\`${c.reset}`);
+  if (unpricedTlds.length > 0) {
+    console.log(`  ${c.yellow}! No price for ${unpricedTlds.join(', ')} — ${unknownPrices === 'skip' ? 'skipping' : 'checking'} them anyway${c.reset}`);
+  }
+}
+
+export function printPriceTable(rows, basis) {
+  console.log(`\n  ${c.cyan}${c.bold}${'TLD'.padEnd(10)}${'registrar'.padEnd(14)}${'register'.padStart(10)}${'renew'.padStart(10)}${'transfer'.padStart(10)}${'per year'.padStart(10)}${c.reset}  ${c.dim}(${basis})${c.reset}`);
+  for (const row of rows) {
+    if (!row.registrar) {
+      console.log(`  ${c.yellow}${row.tld.padEnd(10)}no price known${c.reset}`);
+      continue;
+    }
+    const color = row.affordable ? c.green : c.red;
+    const cell = v => formatMoney(money(v, row.currency), { perYear: false }).padStart(10);
+    console.log(`  ${color}${row.tld.padEnd(10)}${c.reset}${row.registrar.padEnd(14)}${cell(row.register)}${cell(row.renew)}${cell(row.transfer)}${color}${cell(row.cost)}${c.reset}`);
+  }
+  console.log();
+}
+
+export function printUnpriced(byTld, unknownPrices) {
+  const entries = Object.entries(byTld);
+  if (entries.length === 0) return;
+  const total = entries.reduce((sum, [, n]) => sum + n, 0);
+  const verb = unknownPrices === 'skip' ? 'Skipped' : 'Checked';
+  console.log(`  ${c.yellow}${verb} ${total} names without a known price: ${entries.map(([tld, n]) => `${tld} ${n}`).join(', ')}${c.reset}\n`);
+}
+
+export function printHeld(domain, strategy, { confidence, answers }) {
+  const said = answers.map(a => `${a.method} ${a.available === true ? 'available' : a.available === false ? 'taken' : 'unsure'}`).join(', ');
+  console.log(
+    `  ${c.magenta}? ${describeName(domain)}${c.reset}  ${c.dim}[${strategy}] ${confidence} (${said}) — held for review${c.reset}`
+  );
+}
+
+// One recorded evidence event; `replayed` is what today's parser makes of a call, if asked
+export function printEvidence(event, replayed) {
+  const time = `${c.dim}${event.at.replace('T', ' ').slice(0, 19)}${c.reset}`;
+  const said = event.available === true ? `${c.green}available${c.reset}` : event.available === false ? `${c.red}taken${c.reset}` : `${c.yellow}unsure${c.reset}`;
+  if (event.kind === 'decision') {
+    console.log(`  ${time}  ${c.bold}decision${c.reset}  ${said} ${c.dim}(${event.method})${event.reason ? ` ${event.reason}` : ''}${c.reset}`);
+  } else if (event.kind === 'verdict') {
+    console.log(`  ${time}  ${c.bold}verdict${c.reset}   ${c.magenta}${event.confidence}${c.reset}${event.verifiedBy.length > 0 ? ` ${c.dim}by ${event.verifiedBy.join(', ')}${c.reset}` : ''}`);
+  } else {
+    const meta = [event.status != null && `HTTP ${event.status}`, event.latencyMs != null && `${event.latencyMs}ms`, event.source].filter(Boolean).join(' · ');
+    console.log(`  ${time}  ${event.provider.padEnd(8)}  ${said} ${c.dim}${meta}${event.reason ? ` — ${event.reason}` : ''}${c.reset}`);
+  }
+  if (replayed === null) {
+    console.log(`    ${c.dim}replay: no complete response recorded${c.reset}`);
+  } else if (replayed) {
+    const same = replayed.available === event.available;
+    console.log(same
+      ? `    ${c.dim}replay: same answer${c.reset}`
+      : `    ${c.yellow}replay: now ${replayed.available === true ? 'available' : replayed.available === false ? 'taken' : 'unsure'}${replayed.reason ? ` (${replayed.reason})` : ''}${c.reset}`);
+  }
+}
+
+export function printNotified({ sent, errors }) {
+  if (sent > 0) console.log(`  ${c.magenta}Notified about ${sent} new find${sent === 1 ? '' : 's'}${c.reset}`);
+  for (const { sink, error } of errors) console.log(`  ${c.yellow}! Notification via ${sink} failed: ${error}${c.reset}`);
+  if (sent > 0 || errors.length > 0) console.log();
+}
+
 export function printSkippedPremium(domain, price) {
   process.stdout.write(
-    `\r  ${c.yellow}$ ${domain.padEnd(30)} ${c.dim}(premium ${price} — too expensive)${c.reset}\n`
+    `\r  ${c.yellow}$ ${toUnicode(domain).padEnd(30)} ${c.dim}(premium ${price} — too expensive)${c.reset}\n`
   );
 }
 
-export function printBatchProgress(batchNum, batchSize) {
+export function printBatchProgress(batchNum, batchSize, { concurrency, rate } = {}) {
+  const pace = concurrency != null ? `, ${concurrency}x, ${rate.toFixed(1)} req/s` : '';
   process.stdout.write(
-    `\r  ${c.dim}batch #${batchNum} (${batchSize} domains)...${c.reset}`
+    `\r  ${c.dim}batch #${batchNum} (${batchSize} domains${pace})...${c.reset}`
   );
 }
 
@@ -0,0 +1,145 @@
+import { loadWords } from './generator.js';
+import { getPrice } from './pricing.js';
+import { convert, parseMoney } from './currency.js';
+import { foldLabel, toUnicode } from './idn.js';
+
+// --- Domain quality score (0–100) ---
+// Weighted blend of length, pronounceability, dictionary words, TLD prestige,
+// premium flag and price per character. Each part is 0..1 before weighting.
+
+const WEIGHTS = {
+  length: 25,
+  pronounceability: 20,
+  dictionary: 20,
+  tld: 15,
+  pricePerChar: 15,
+  premium: 5,
+};
+
+const TLD_PRESTIGE = {
+  '.com': 1,
+  '.ai': 0.85,
+  '.io': 0.85,
+  '.co': 0.75,
+  '.dev': 0.75,
+  '.app': 0.75,
+  '.net': 0.7,
+  '.org': 0.7,
+  '.sh': 0.6,
+  '.me': 0.55,
+  '.gg': 0.55,
+  '.tech': 0.45,
+  '.xyz': 0.4,
+  '.cool': 0.4,
+  '.lol': 0.35,
+};
+const DEFAULT_PRESTIGE = 0.4;
+
+const VOWELS = new Set('aeiouy');
+
+// Consonant pairs English speakers say as one sound — they don't count towards a run
+const CLUSTERS = ['ch', 'sh', 'th', 'ph', 'wh', 'ck', 'ng', 'qu', 'st', 'tr', 'pr', 'br', 'cr', 'dr', 'fr', 'gr', 'bl', 'cl', 'fl', 'gl', 'pl', 'sl', 'sk', 'sp', 'sn', 'sm', 'sw', 'nt', 'nd', 'mp', 'lt', 'rk', 'rt'];
+
+function letters(label) {
+  return label.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Longest run of consonants, with common clusters counting as one
+export function maxConsonantRun(label) {
+  let s = letters(label);
+  for (const cluster of CLUSTERS) s = s.replaceAll(cluster, 'C');
+  let max = 0;
+  let run = 0;
+  for (const ch of s) {
+    run = VOWELS.has(ch) ? 0 : run + 1;
+    max = Math.max(max, run);
+  }
+  return max;
+}
+
+// 0..1: how sayable the letter pattern is (vowel balance, C/V alternation, long runs)
+export function pronounceability(label) {
+  const s = letters(label);
+  if (s.length === 0) return 0;
+  if (s.length === 1) return 1;
+
+  let vowels = 0;
+  let transitions = 0;
+  let vowelRun = 0;
+  let maxVowelRun = 0;
+  for (let i = 0; i < s.length; i++) {
+    const isVowel = VOWELS.has(s[i]);
+    if (isVowel) vowels++;
+    vowelRun = isVowel ? vowelRun + 1 : 0;
+    maxVowelRun = Math.max(maxVowelRun, vowelRun);
+    if (i > 0 && isVowel !== VOWELS.has(s[i - 1])) transitions++;
+  }
+
+  const ratio = vowels / s.length;
+  const balance = 1 - Math.min(1, Math.abs(ratio - 0.4) / 0.4);
+  const alternation = transitions / (s.length - 1);
+  const penalty = Math.max(0, maxConsonantRun(s) - 2) * 0.25 + Math.max(0, maxVowelRun - 2) * 0.2;
+
+  return clamp(0.5 * balance + 0.3 * alternation + 0.2 - penalty);
+}
+
+// 1 = a word, 0.8 = two words glued together, 0.4 = contains a word of 3+ letters
+export function dictionaryScore(label, words) {
+  if (words.has(label)) return 1;
+  for (let i = 2; i <= label.length - 2; i++) {
+    if (words.has(label.slice(0, i)) && words.has(label.slice(i))) return 0.8;
+  }
+  for (const word of words) {
+    if (word.length >= 3 && label.includes(word)) return 0.4;
+  }
+  return 0;
+}
+
+function clamp(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+// `price` is money in any currency; price per character is judged in dollars
+// IDNs are judged by their Unicode label with diacritics folded away, not by the xn-- form
+export function scoreDomain(domain, { price = null, premium = false, words = new Set() } = {}) {
+  const dot = domain.indexOf('.');
+  const tld = domain.slice(dot);
+  const unicode = toUnicode(domain.slice(0, dot));
+  const label = foldLabel(unicode);
+  const amount = convert(price ?? getPrice(tld), 'USD')?.amount ?? null;
+
+  const breakdown = {
+    length: clamp(1 - ([...unicode].length - 2) * 0.12),
+    pronounceability: pronounceability(label),
+    dictionary: dictionaryScore(label, words),
+    tld: TLD_PRESTIGE[tld] ?? DEFAULT_PRESTIGE,
+    // Unknown price scores middling rather than best
+    pricePerChar: amount != null ? 1 / (1 + amount / [...unicode].length / 10) : 0.5,
+    premium: premium ? 0 : 1,
+  };
+
+  let score = 0;
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    score += breakdown[key] * weight;
+  }
+
+  for (const key of Object.keys(breakdown)) {
+    breakdown[key] = Math.round(breakdown[key] * 100) / 100;
+  }
+  return { score: Math.round(score), breakdown };
+}
+
+let dictionary = null;
+
+export async function loadDictionary() {
+  dictionary ??= new Set(await loadWords());
+  return dictionary;
+}
+
+// Score a found entry in place
+export function scoreEntry(entry, words) {
+  const { score, breakdown } = scoreDomain(entry.domain, { price: parseMoney(entry.price), premium: entry.premium, words });
+  entry.score = score;
+  entry.scoreBreakdown = breakdown;
+  return entry;
+}
@@ -0,0 +1,73 @@
+import { readFile, rename, open, mkdir, rm, truncate } from 'fs/promises';
+import { join, dirname } from 'path';
+
+// --- Checked-domain store: JSON snapshot + append-only journal ---
+// checked.json stays a plain JSON array (committed, merged across shards).
+// Between compactions, newly checked domains are appended to checked.log, one
+// per line, so a save costs only what changed. Snapshots are written to a temp
+// file and renamed into place, so a crash mid-write leaves the old one intact;
+// a torn last journal line is simply ignored on load.
+
+const SNAPSHOT = 'checked.json';
+const JOURNAL = 'checked.log';
+
+let tmpCounter = 0;
+
+export async function writeFileAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  // Unique per call: two overlapping saves of one file must not share a temp file
+  const tmp = `${path}.${process.pid}.${++tmpCounter}.tmp`;
+  const handle = await open(tmp, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await rename(tmp, path);
+}
+
+// Returns the full checked set plus how many journal lines are waiting to be compacted
+export async function loadChecked(dataDir) {
+  const checked = new Set();
+  let journalLines = 0;
+
+  try {
+    for (const d of JSON.parse(await readFile(join(dataDir, SNAPSHOT), 'utf8'))) checked.add(d);
+  } catch {}
+
+  try {
+    const journal = join(dataDir, JOURNAL);
+    const raw = await readFile(journal, 'utf8');
+    const lines = raw.split('\n');
+    const torn = lines.pop(); // either '' after the final newline, or a torn write
+    for (const line of lines) {
+      if (line) checked.add(line);
+    }
+    journalLines = lines.length;
+
+    // Cut the torn tail off so the next append starts on a fresh line
+    if (torn) await truncate(journal, Buffer.byteLength(raw) - Buffer.byteLength(torn));
+  } catch {}
+
+  return { checked, journalLines };
+}
+
+export async function appendChecked(dataDir, domains) {
+  if (domains.length === 0) return;
+  await mkdir(dataDir, { recursive: true });
+  const handle = await open(join(dataDir, JOURNAL), 'a');
+  try {
+    await handle.write(domains.join('\n') + '\n');
+    await handle.datasync();
+  } finally {
+    await handle.close();
+  }
+}
+
+// Rewrite the snapshot from the in-memory set, then drop the journal.
+// A crash in between only means the journal gets replayed again — harmless.
+export async function compactChecked(dataDir, checked) {
+  await writeFileAtomic(join(dataDir, SNAPSHOT), JSON.stringify([...checked]));
+  await rm(join(dataDir, JOURNAL), { force: true });
+}
@@ -0,0 +1,63 @@
+import { checkWith } from './checker.js';
+import { flushEvidence, recordVerdict } from './evidence.js';
+
+// --- Verification: a second opinion before a find is published ---
+// Every available result is re-asked through the other providers in
+// config.verification.providers (which must also be enabled in config.providers),
+// skipping the one that answered:
+//   confirmed      another registry source (RDAP, WHOIS, EPP) also says available
+//   single-source  nobody else could answer, or only DNS agreed
+//   conflicting    some source says taken — held for review, never published
+// DNS can't confirm (no NS records doesn't mean unregistered), but NS records
+// do mean registered, so it can still contradict.
+
+export const DEFAULTS = {
+  enabled: false,
+  providers: ['rdap', 'whois', 'dns'],
+  minConfidence: 'single-source', // or 'confirmed' to hold single-source finds for review too
+};
+
+const LEVELS = ['conflicting', 'single-source', 'confirmed'];
+
+export function meetsConfidence(confidence, minConfidence = DEFAULTS.minConfidence) {
+  return LEVELS.indexOf(confidence) >= LEVELS.indexOf(minConfidence);
+}
+
+function answerOf(result) {
+  return {
+    method: result.method,
+    available: result.available,
+    ...(result.reason ? { reason: result.reason } : {}),
+    ...(result.note ? { note: result.note } : {}),
+  };
+}
+
+// { confidence, verifiedBy, answers } for one available result; answers start with the original
+export async function verifyAvailable(domain, result, options = {}) {
+  const { providers } = { ...DEFAULTS, ...options };
+  const answers = [answerOf(result)];
+  const verifiedBy = [];
+
+  for (const name of providers) {
+    if (name === result.method) continue;
+    const other = await checkWith(name, domain).catch(err => ({ method: name, available: null, reason: err.message }));
+    if (!other) continue;
+    answers.push(answerOf(other));
+
+    if (other.available === false) return { confidence: 'conflicting', verifiedBy, answers };
+    if (other.available === true && other.method !== 'dns') {
+      verifiedBy.push(other.method);
+      break;
+    }
+  }
+  return { confidence: verifiedBy.length > 0 ? 'confirmed' : 'single-source', verifiedBy, answers };
+}
+
+// Verdicts for every available result in a batch, keyed by domain
+export async function verifyResults(results, options = {}) {
+  const positives = [...results].filter(([, r]) => r.available === true);
+  const verdicts = await Promise.all(positives.map(([domain, r]) => verifyAvailable(domain, r, options)));
+  positives.forEach(([domain], i) => recordVerdict(domain, verdicts[i]));
+  await flushEvidence();
+  return new Map(positives.map(([domain], i) => [domain, verdicts[i]]));
+}
@@ -0,0 +1,196 @@
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { checkDomain, getProvider } from './checker.js';
+import { quoteResult } from './pricing.js';
+import { writeFileAtomic } from './store.js';
+import {
+  getFound,
+  addResult,
+  saveResults,
+  printAvailable,
+  printWatchEntry,
+} from './reporter.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WATCHLIST_PATH = join(__dirname, '..', 'data', 'watchlist.json');
+
+// --- Drop-catch watchlist: taken domains we want, polled harder as they near deletion ---
+// gTLD lifecycle after expiry: up to 45 days auto-renew grace, 30 days
+// redemption, then 5 days pending delete before the name is released.
+
+const DAY = 24 * 60 * 60 * 1000;
+const AUTO_RENEW_GRACE_DAYS = 45;
+const REDEMPTION_DAYS = 30;
+const PENDING_DELETE_DAYS = 5;
+
+let watchlist = [];
+
+export async function loadWatchlist() {
+  try {
+    watchlist = JSON.parse(await readFile(WATCHLIST_PATH, 'utf8'));
+  } catch {
+    watchlist = [];
+  }
+  return watchlist;
+}
+
+export async function saveWatchlist() {
+  await writeFileAtomic(WATCHLIST_PATH, JSON.stringify(watchlist, null, 2));
+}
+
+export function getWatchlist() {
+  return watchlist;
+}
+
+export function addToWatchlist(domain) {
+  domain = domain.toLowerCase();
+  if (watchlist.some(w => w.domain === domain)) return null;
+  const entry = { domain, addedAt: new Date().toISOString(), phase: 'unknown', nextPollAt: null };
+  watchlist.push(entry);
+  return entry;
+}
+
+export function removeFromWatchlist(domain) {
+  const before = watchlist.length;
+  watchlist = watchlist.filter(w => w.domain !== domain.toLowerCase());
+  return watchlist.length < before;
+}
+
+function eventDate(record, action) {
+  const event = (record.events ?? []).find(e => e.eventAction === action);
+  return event ? Date.parse(event.eventDate) : null;
+}
+
+// RDAP status values are spelled "pending delete", "redemption period", ...
+function normalizeStatus(status) {
+  return status.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// Where the domain sits in the deletion lifecycle, and when it should drop
+export function predictDrop(record, now = Date.now()) {
+  const statuses = (record.status ?? []).map(normalizeStatus);
+  const expiresAt = eventDate(record, 'expiration');
+  const lastChangedAt = eventDate(record, 'last changed');
+  const since = lastChangedAt ?? now;
+
+  let phase;
+  let predictedDropAt = null;
+
+  if (statuses.includes('pendingdelete')) {
+    phase = 'pendingDelete';
+    // pendingDelete alongside redemptionPeriod means redemption hasn't run out yet
+    const redemptionLeft = statuses.includes('redemptionperiod') ? REDEMPTION_DAYS : 0;
+    predictedDropAt = since + (redemptionLeft + PENDING_DELETE_DAYS) * DAY;
+  } else if (statuses.includes('redemptionperiod')) {
+    phase = 'redemption';
+    predictedDropAt = since + (REDEMPTION_DAYS + PENDING_DELETE_DAYS) * DAY;
+  } else if (expiresAt) {
+    phase = expiresAt <= now || statuses.includes('autorenewperiod') ? 'expired' : 'registered';
+    predictedDropAt = expiresAt + (AUTO_RENEW_GRACE_DAYS + REDEMPTION_DAYS + PENDING_DELETE_DAYS) * DAY;
+  } else {
+    phase = 'registered';
+  }
+
+  // A predicted date in the past just means "any moment now"
+  return {
+    phase,
+    statuses: record.status ?? [],
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    lastChangedAt: lastChangedAt ? new Date(lastChangedAt).toISOString() : null,
+    predictedDropAt: predictedDropAt ? new Date(predictedDropAt).toISOString() : null,
+  };
+}
+
+// Poll every tenth of the remaining time, clamped — daily when far out, minutes near the drop
+export function nextPollDelay(predictedDropAt, options = {}, now = Date.now()) {
+  const minMs = (options.minPollMinutes ?? 5) * 60 * 1000;
+  const maxMs = (options.maxPollMinutes ?? 1440) * 60 * 1000;
+  if (!predictedDropAt) return maxMs;
+  const remaining = Date.parse(predictedDropAt) - now;
+  return Math.min(maxMs, Math.max(minMs, remaining / 10));
+}
+
+async function confirmAvailable(entry) {
+  const result = await checkDomain(entry.domain);
+  if (result.available !== true) {
+    entry.note = result.available === false
+      ? `not in RDAP but ${result.method} says taken`
+      : `not in RDAP, confirmation inconclusive (${result.reason})`;
+    return false;
+  }
+
+  const tld = '.' + entry.domain.split('.').pop();
+  const { price, renewPrice, quotedPrice, label } = quoteResult(entry.domain, result);
+  entry.phase = 'available';
+  entry.availableAt = new Date().toISOString();
+  delete entry.note;
+
+  printAvailable(entry.domain, 'Watchlist', label + (result.premium ? ' [PREMIUM]' : ''));
+  if (!getFound().some(f => f.domain === entry.domain)) {
+    addResult({
+      domain: entry.domain,
+      strategy: 'Watchlist',
+      price,
+      renewPrice,
+      ...(quotedPrice ? { quotedPrice } : {}),
+      tld,
+      premium: result.premium ?? false,
+      checkedAt: entry.availableAt,
+    });
+    await saveResults();
+  }
+  return true;
+}
+
+export async function pollEntry(entry, options = {}) {
+  const rdap = getProvider('rdap');
+  const lookup = rdap?.lookup ? await rdap.lookup(entry.domain) : { error: 'RDAP provider disabled' };
+  entry.lastPolledAt = new Date().toISOString();
+
+  if (lookup.registered === false) {
+    await confirmAvailable(entry);
+  } else if (lookup.registered) {
+    Object.assign(entry, predictDrop(lookup.record));
+    delete entry.note;
+  } else {
+    // No RDAP for this TLD (or it failed): fall back to plain availability polling
+    const available = await confirmAvailable(entry);
+    if (!available) entry.note = `no RDAP data (${lookup.error}) — polling availability only`;
+  }
+
+  if (entry.phase !== 'available') {
+    entry.nextPollAt = new Date(Date.now() + nextPollDelay(entry.predictedDropAt, options)).toISOString();
+  }
+  return entry;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll whatever is due, then sleep until the next entry is. Ends when nothing is left to watch.
+// `afterPoll` runs after each round that polled something (index.js sends notifications there).
+export async function runWatch(config, { isStopping = () => false, afterPoll = async () => {} } = {}) {
+  const options = config.watchlist ?? {};
+
+  while (!isStopping()) {
+    const watching = watchlist.filter(w => w.phase !== 'available');
+    if (watching.length === 0) break;
+
+    const now = Date.now();
+    const due = watching.filter(w => !w.nextPollAt || Date.parse(w.nextPollAt) <= now);
+    for (const entry of due) {
+      if (isStopping()) break;
+      await pollEntry(entry, options);
+      printWatchEntry(entry);
+    }
+    if (due.length > 0) {
+      await saveWatchlist();
+      await afterPoll();
+    }
+
+    const next = Math.min(...watching.map(w => Date.parse(w.nextPollAt ?? 0)));
+    await sleep(Math.max(1000, Math.min(next - Date.now(), 60000)));
+  }
+}
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDomainsBatch, configureProviders } from '../src/checker.js';
+import { configureRateLimit } from '../src/ratelimit.js';
+import { startMockRegistry } from './mock-registry.js';
+
+let mock;
+
+function useProviders(epp = {}) {
+  configureProviders([
+    { name: 'epp', timeoutMs: 500, batchTimeoutMs: 500, ...epp },
+    { name: 'rdap', timeoutMs: 500 },
+  ], mock.endpoints);
+}
+
+before(async () => {
+  mock = await startMockRegistry();
+  // No retries or backoff: a 429 should hand the domain straight to the next provider
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000, maxRetries: 0, baseBackoffMs: 0 });
+  useProviders();
+});
+
+after(() => mock.close());
+
+function rdapLookups(from) {
+  return mock.requests.slice(from).filter(r => r.path.startsWith('/rdap/domain/')).map(r => r.path.split('/').pop());
+}
+
+test('one EPP batch answers every domain it lists', async () => {
+  const seen = mock.requests.length;
+  const results = await checkDomainsBatch(['free1.com', 'taken1.com', 'premium1.com', 'reserved1.com']);
+
+  assert.equal(results.get('free1.com').available, true);
+  assert.equal(results.get('taken1.com').available, false);
+  assert.equal(results.get('premium1.com').premium, true);
+  assert.equal(results.get('reserved1.com').available, false);
+  assert.equal(results.get('reserved1.com').note, 'Reserved by registry');
+  for (const result of results.values()) assert.equal(result.method, 'epp');
+
+  assert.equal(mock.requests.slice(seen).filter(r => r.path === '/v1/domainStatus').length, 1);
+  assert.deepEqual(rdapLookups(seen), []);
+});
+
+test('domains missing from the EPP response fall back to RDAP', async () => {
+  const seen = mock.requests.length;
+  const results = await checkDomainsBatch(['free2.com', 'unlisted2.com']);
+
+  assert.deepEqual(results.get('free2.com'), { domain: 'free2.com', method: 'epp', available: true });
+  assert.deepEqual(results.get('unlisted2.com'), { domain: 'unlisted2.com', method: 'rdap', available: true });
+  assert.deepEqual(rdapLookups(seen), ['unlisted2.com']);
+});
+
+test('a throttled EPP batch falls back to RDAP for every domain', async () => {
+  const results = await checkDomainsBatch(['limited3.com', 'taken3.com', 'reserved3.com', 'free3.com']);
+
+  assert.deepEqual(results.get('taken3.com'), { domain: 'taken3.com', method: 'rdap', available: false });
+  assert.equal(results.get('reserved3.com').available, false);
+  assert.match(results.get('reserved3.com').note, /reserved/);
+  assert.deepEqual(results.get('free3.com'), { domain: 'free3.com', method: 'rdap', available: true });
+  // RDAP is throttled for it too, so nothing is left to decide
+  assert.deepEqual(results.get('limited3.com'), {
+    domain: 'limited3.com', method: 'unknown', available: null, reason: 'all checks inconclusive',
+  });
+});
+
+test('a timed-out EPP batch falls back to RDAP', async () => {
+  const results = await checkDomainsBatch(['slow4.com', 'free4.com']);
+
+  assert.equal(results.get('free4.com').method, 'rdap');
+  assert.equal(results.get('free4.com').available, true);
+  assert.equal(results.get('slow4.com').available, null);
+});
+
+test('providers only get the TLDs they handle', async () => {
+  useProviders({ tlds: ['.dev'] });
+  try {
+    const results = await checkDomainsBatch(['free5.dev', 'free5.com']);
+    assert.equal(results.get('free5.dev').method, 'epp');
+    assert.equal(results.get('free5.com').method, 'rdap');
+  } finally {
+    useProviders();
+  }
+});
+
+test('results are keyed by the name asked for, providers see punycode', async () => {
+  const seen = mock.requests.length;
+  const results = await checkDomainsBatch(['bücher.com']);
+
+  assert.equal(results.get('bücher.com').available, true);
+  assert.equal(results.get('bücher.com').domain, 'bücher.com');
+  assert.match(mock.requests[seen].query, /xn--bcher-kva\.com/);
+});
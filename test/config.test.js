@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { configFromEnv, loadConfig, validateConfig } from '../src/config.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'radar-config-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// The messages validateConfig collected, one per line
+function problems(raw) {
+  try {
+    validateConfig(raw);
+  } catch (err) {
+    return err.message.split('\n').slice(1).map(line => line.trim());
+  }
+  return [];
+}
+
+test('an empty config gets every default', () => {
+  const config = validateConfig({});
+  assert.deepEqual(config.tlds, ['.com', '.dev', '.io']);
+  assert.equal(config.maxPricePerYear, 50);
+  assert.equal(config.retry.maxAttempts, 5);
+  assert.equal(config.pricing.basis, 'firstYear');
+  assert.equal(config.endpoints.epp, null);
+});
+
+test('TLDs are normalized', () => {
+  assert.deepEqual(validateConfig({ tlds: ['COM', ' .Dev '] }).tlds, ['.com', '.dev']);
+});
+
+test('every problem is reported at once, with suggestions for typos', () => {
+  const found = problems({
+    maxPricePerYer: 20,
+    batchSize: 0,
+    requestDelayMs: 1.5,
+    retry: { maxAttempts: 'three' },
+    strategies: ['short', 'keywrd'],
+    pricing: { basis: 'renewl' },
+    tlds: ['.c om'],
+  });
+  assert.deepEqual(found, [
+    'maxPricePerYer is not a setting (did you mean "maxPricePerYear"?)',
+    'tlds has an invalid TLD ".c om"',
+    'requestDelayMs must be a whole number, got 1.5',
+    'batchSize must be at least 1, got 0',
+    'strategies has unknown value "keywrd" (expected short, keyword, personal, combos, expired, idn, alnum) (did you mean "keyword"?)',
+    'pricing.basis must be one of firstYear, renewal, total, got "renewl" (did you mean "renewal"?)',
+    'retry.maxAttempts must be a number, got "three"',
+  ]);
+});
+
+test('scheduling must name strategies that exist', () => {
+  assert.deepEqual(problems({ scheduling: { strategies: { 'Word Combo': { weight: 2 } } } }), [
+    'scheduling.strategies has unknown strategy "Word Combo" (did you mean "Word Combos"?)',
+  ]);
+  assert.deepEqual(problems({ customStrategies: [{ name: 'Mine', words: ['a'] }], scheduling: { strategies: { Mine: { weight: 2 } } } }), []);
+});
+
+test('a display currency needs a known rate', () => {
+  assert.deepEqual(problems({ currency: { code: 'XYZ' } }), ['currency.rates needs a rate for XYZ']);
+  assert.deepEqual(problems({ currency: { code: 'XYZ', rates: { XYZ: 2 } } }), []);
+});
+
+test('RADAR_* variables become a config layer, parsed by the setting they name', () => {
+  const layer = configFromEnv({
+    RADAR_MAX_PRICE_PER_YEAR: '30',
+    RADAR_TLDS: '.com, .dev',
+    RADAR_RETRY__MAX_ATTEMPTS: '8',
+    RADAR_QUALITY_GATE__ENABLED: 'no',
+    RADAR_SEED: '',
+    RADAR_ENDPOINTS__RDAP_SERVERS: '{"com":"http://localhost:1/rdap"}',
+    RADAR_PASSWORD: 'hunter2',
+  });
+  assert.deepEqual(layer, {
+    tlds: ['.com', '.dev'],
+    maxPricePerYear: 30,
+    seed: null,
+    retry: { maxAttempts: 8 },
+    qualityGate: { enabled: false },
+    endpoints: { rdapServers: { com: 'http://localhost:1/rdap' } },
+  });
+});
+
+test('a bad environment value is reported like a bad file value', () => {
+  assert.deepEqual(problems(configFromEnv({ RADAR_BATCH_SIZE: 'lots' })), ['batchSize must be a number, got "lots"']);
+});
+
+test('layers merge key by key: config.json < config.local.json < env < overrides', async () => {
+  const path = join(dir, 'config.json');
+  const localPath = join(dir, 'config.local.json');
+  await writeFile(path, JSON.stringify({ tlds: ['.com', '.io'], maxPricePerYear: 20, retry: { maxAttempts: 2, delayMs: 10 }, keywords: ['base'] }));
+  await writeFile(localPath, JSON.stringify({ keywords: ['mine'], retry: { maxAttempts: 3 } }));
+
+  const config = await loadConfig({
+    path,
+    localPath,
+    env: { RADAR_MAX_PRICE_PER_YEAR: '25', RADAR_RETRY__DELAY_MS: '99' },
+    overrides: { maxPricePerYear: 40 },
+  });
+  assert.deepEqual(config.tlds, ['.com', '.io']);
+  assert.deepEqual(config.keywords, ['mine']); // lists replace, not append
+  assert.deepEqual(config.retry, { maxAttempts: 3, delayMs: 99 });
+  assert.equal(config.maxPricePerYear, 40);
+});
+
+test('missing files are optional, unreadable ones are not', async () => {
+  const config = await loadConfig({ path: join(dir, 'none.json'), localPath: join(dir, 'none.local.json'), env: {} });
+  assert.equal(config.maxPricePerYear, 50);
+
+  const broken = join(dir, 'broken.json');
+  await writeFile(broken, '{ "tlds": [');
+  await assert.rejects(loadConfig({ path: broken, localPath: null, env: {} }), /broken\.json is not valid JSON/);
+});
@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEppProvider, parseEppEntry } from '../src/providers/epp.js';
+import { configureRateLimit } from '../src/ratelimit.js';
+import { startMockRegistry } from './mock-registry.js';
+
+test('a regular entry carries no premium fields', () => {
+  assert.deepEqual(parseEppEntry({ name: 'plain.com', available: true, premium: false }), { method: 'epp', available: true });
+});
+
+test('a premium entry keeps its fee as money, USD unless stated', () => {
+  const result = parseEppEntry({ name: 'gold.com', available: true, premium: true, fee: { amount: '2500.00' } });
+  assert.equal(result.premium, true);
+  assert.deepEqual(result.eppPrice, { amount: 2500, currency: 'USD' });
+});
+
+test('a premium fee keeps the registry currency', () => {
+  const result = parseEppEntry({ name: 'gold.de', available: true, premium: true, fee: { amount: 900, currency: 'eur' } });
+  assert.deepEqual(result.eppPrice, { amount: 900, currency: 'EUR' });
+});
+
+test('premium without a quoted fee is not flagged', () => {
+  const result = parseEppEntry({ name: 'gold.io', available: true, premium: true });
+  assert.equal(result.premium, undefined);
+  assert.equal(result.eppPrice, undefined);
+});
+
+test('the registry reason becomes a note', () => {
+  const result = parseEppEntry({ name: 'held.com', available: false, reason: 'Reserved by registry' });
+  assert.deepEqual(result, { method: 'epp', available: false, note: 'Reserved by registry' });
+});
+
+test('single and batch checks both report premium fees', async () => {
+  const mock = await startMockRegistry({ domains: { 'crown.com': { state: 'premium', fee: 4200, currency: 'EUR' } } });
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000 });
+  try {
+    const epp = createEppProvider({ endpoint: mock.endpoints.epp, timeoutMs: 500 });
+
+    const single = await epp.check('crown.com');
+    assert.equal(single.premium, true);
+    assert.deepEqual(single.eppPrice, { amount: 4200, currency: 'EUR' });
+    assert.equal(single.raw.status, 200);
+
+    const batch = await epp.checkBatch(['crown.com', 'premiumx.com', 'plainx.com']);
+    assert.deepEqual(batch.get('crown.com').eppPrice, { amount: 4200, currency: 'EUR' });
+    assert.deepEqual(batch.get('premiumx.com').eppPrice, { amount: 1200, currency: 'USD' });
+    assert.equal(batch.get('plainx.com').premium, undefined);
+  } finally {
+    await mock.close();
+  }
+});
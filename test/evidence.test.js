@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { checkDomain, checkDomainsBatch, configureProviders, registerProvider } from '../src/checker.js';
+import { configureEvidence, createReplayProvider, queryEvidence } from '../src/evidence.js';
+import { configureRateLimit } from '../src/ratelimit.js';
+import { startMockRegistry } from './mock-registry.js';
+
+let mock;
+let dir;
+
+function useProviders() {
+  configureProviders([
+    { name: 'epp', timeoutMs: 500, batchTimeoutMs: 500 },
+    { name: 'rdap', timeoutMs: 500 },
+  ], mock.endpoints);
+}
+
+before(async () => {
+  mock = await startMockRegistry();
+  dir = await mkdtemp(join(tmpdir(), 'radar-evidence-'));
+  configureEvidence({ enabled: true, dir });
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000, maxRetries: 0, baseBackoffMs: 0 });
+  useProviders();
+});
+
+after(async () => {
+  await mock.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+function eppCalls(events) {
+  return events.filter(e => e.kind === 'call' && e.provider === 'epp');
+}
+
+test('a throttled EPP batch leaves a call with its status for every domain', async () => {
+  await checkDomainsBatch(['limited1.com', 'free1.com']);
+  const calls = eppCalls(await queryEvidence(['limited1.com', 'free1.com']));
+
+  assert.deepEqual(calls.map(c => c.domain).sort(), ['free1.com', 'limited1.com']);
+  for (const call of calls) {
+    assert.equal(call.status, 429);
+    assert.equal(call.available, null);
+    assert.equal(call.reason, 'HTTP 429');
+    assert.match(call.payload, /rate limited/);
+  }
+});
+
+test('a timed-out EPP batch leaves a call with the error for every domain', async () => {
+  await checkDomainsBatch(['slow2.com', 'free2.com']);
+  const calls = eppCalls(await queryEvidence(['slow2.com', 'free2.com']));
+
+  assert.equal(calls.length, 2);
+  for (const call of calls) {
+    assert.equal(call.available, null);
+    assert.match(call.reason, /timeout/);
+    assert.equal(call.status, undefined);
+  }
+});
+
+test('replay answers an IDN from the call recorded under its Unicode name', async () => {
+  await checkDomainsBatch(['café3.com', 'taken3.com']);
+  const events = await queryEvidence(['café3.com', 'taken3.com']);
+  assert.ok(eppCalls(events).some(c => c.domain === 'café3.com'));
+
+  registerProvider('replay', () => createReplayProvider('epp', events));
+  configureProviders(['replay']);
+  try {
+    assert.equal((await checkDomain('café3.com')).available, true);
+    assert.equal((await checkDomain('taken3.com')).available, false);
+    assert.equal((await checkDomain('unrecorded3.com')).available, null);
+  } finally {
+    useProviders();
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { filterFound, renderExport, resolveFormat, toCsv, toDomainList, toMarkdown } from '../src/export.js';
+import { createScratchRepo } from './scratch-repo.js';
+
+const usd = amount => ({ amount, currency: 'USD' });
+
+const FOUND = [
+  { domain: 'zap.dev', tld: '.dev', strategy: 'Short Combos', price: usd(12), premium: false, score: 80, checkedAt: '2026-03-01T10:00:00.000Z' },
+  { domain: 'gold.io', tld: '.io', strategy: 'Short & Catchy', price: usd(900), premium: true, score: 90, checkedAt: '2026-03-05T10:00:00.000Z' },
+  { domain: 'xn--bcher-kva.com', unicode: 'bücher.com', tld: '.com', strategy: 'IDN Words', price: usd(12), premium: false, score: 60, checkedAt: '2026-03-10T10:00:00.000Z' },
+  { domain: 'gone.dev', tld: '.dev', strategy: 'Short Combos', price: usd(12), premium: false, score: 70, status: 'lost', checkedAt: '2026-02-01T10:00:00.000Z' },
+  { domain: 'odd.app', tld: '.app', strategy: 'Say "hi", twice', price: null, premium: false, score: 50, checkedAt: '2026-03-10T23:00:00.000Z' },
+];
+
+const domains = entries => entries.map(e => e.domain);
+
+test('no filters keeps everything, in order', () => {
+  assert.deepEqual(filterFound(FOUND), FOUND);
+});
+
+test('filters by TLD with or without the dot, and by strategy', () => {
+  assert.deepEqual(domains(filterFound(FOUND, { tlds: ['dev', '.io'] })), ['zap.dev', 'gold.io', 'gone.dev']);
+  assert.deepEqual(domains(filterFound(FOUND, { strategies: ['Short Combos'], status: 'available' })), ['zap.dev']);
+});
+
+test('max price drops unknown prices, premium can be excluded or required', () => {
+  assert.deepEqual(domains(filterFound(FOUND, { maxPrice: 12 })), ['zap.dev', 'xn--bcher-kva.com', 'gone.dev']);
+  assert.deepEqual(domains(filterFound(FOUND, { premium: 'only' })), ['gold.io']);
+  assert.ok(!domains(filterFound(FOUND, { premium: 'exclude' })).includes('gold.io'));
+});
+
+test('date ranges include the whole end day', () => {
+  assert.deepEqual(domains(filterFound(FOUND, { since: '2026-03-05', until: '2026-03-10' })), ['gold.io', 'xn--bcher-kva.com', 'odd.app']);
+  assert.throws(() => filterFound(FOUND, { since: 'last week' }), /Invalid since date/);
+});
+
+test('search matches the Unicode form, top keeps the best scores', () => {
+  assert.deepEqual(domains(filterFound(FOUND, { search: 'büch' })), ['xn--bcher-kva.com']);
+  assert.deepEqual(domains(filterFound(FOUND, { top: 2 })), ['zap.dev', 'gold.io']);
+});
+
+test('CSV leads with the ASCII name and quotes only what needs it', () => {
+  const lines = toCsv(FOUND).split('\r\n');
+  assert.equal(lines[0].split(',')[0], 'domain');
+  assert.equal(lines[3].split(',').slice(0, 2).join(','), 'xn--bcher-kva.com,bücher.com');
+  assert.match(lines[5], /^odd\.app,odd\.app,\.app,"Say ""hi"", twice",,,/);
+  assert.equal(lines.at(-1), '');
+});
+
+test('the plain list is one ASCII domain per line', () => {
+  assert.equal(toDomainList(FOUND.slice(0, 3)), 'zap.dev\ngold.io\nxn--bcher-kva.com\n');
+});
+
+test('the Markdown report breaks finds down by TLD and strategy', () => {
+  const md = toMarkdown(FOUND.slice(0, 4), { filters: { maxPrice: 1000 }, generatedAt: new Date('2026-04-01T00:00:00Z') });
+  assert.match(md, /^# Domain Radar/);
+  assert.match(md, /- 4 domains, generated 2026-04-01 00:00 UTC/);
+  assert.match(md, /- Filters: maxPrice 1000/);
+  assert.match(md, /\| \.dev \| 2 \| 0 \| \$12\/yr \| \$12\/yr \| 80 \|/);
+  assert.match(md, /\| Short Combos \| 2 \|/);
+  assert.match(md, /\| bücher\.com \|/);
+  // Domains come best score first
+  assert.ok(md.indexOf('gold.io') < md.indexOf('zap.dev'));
+});
+
+test('HTML escapes what it prints', () => {
+  const html = renderExport([FOUND[4]], 'html');
+  assert.match(html, /Say &quot;hi&quot;, twice/);
+});
+
+test('the format comes from --format, then the output extension, then defaults to JSON', () => {
+  assert.equal(resolveFormat('csv', 'out.md'), 'csv');
+  assert.equal(resolveFormat(null, 'shortlist.JSONL'), 'jsonl');
+  assert.equal(resolveFormat(undefined, undefined), 'json');
+  assert.throws(() => resolveFormat('xlsx'), /Unknown export format/);
+  assert.throws(() => resolveFormat(null, 'out.xlsx'), /pass --format/);
+});
+
+test('export --strategies and --tlds filter by display name without touching the scan config', async () => {
+  const repo = await createScratchRepo({ tlds: ['.com'], strategies: ['short'] });
+  try {
+    await writeFile(join(repo.root, 'data', 'found.json'), JSON.stringify([
+      { domain: 'kw.dev', tld: '.dev', strategy: 'Keyword-Based', price: usd(12), premium: false, checkedAt: '2026-03-01T10:00:00.000Z' },
+      { domain: 'kw.io', tld: '.io', strategy: 'Keyword-Based', price: usd(35), premium: false, checkedAt: '2026-03-01T10:00:00.000Z' },
+      { domain: 'zap.dev', tld: '.dev', strategy: 'Short Combos', price: usd(12), premium: false, checkedAt: '2026-03-01T10:00:00.000Z' },
+    ]));
+    const { stdout } = await repo.run(['export', '--strategies', 'Keyword-Based,Short & Catchy', '--tlds', 'dev', '--format', 'txt']);
+    assert.equal(stdout, 'kw.dev\n');
+  } finally {
+    await repo.remove();
+  }
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityGate } from '../src/filter.js';
+
+// The default list (data/blocklist.txt) with the other checks out of the way
+const gate = await createQualityGate({ exemptStrategies: ['Mine'] });
+const check = domain => gate(domain, 'Mine');
+
+test('innocent names that contain a blocked word pass', () => {
+  for (const domain of ['grape.com', 'drape.dev', 'scrape.io', 'peacock.com', 'cockpit.dev', 'dickens.com', 'scunthorpe.com', 'pineapple.com', 'snapple.io', 'monikers.com', 'openair.dev', 'shiitake.com']) {
+    assert.equal(check(domain), null, domain);
+  }
+});
+
+test('blocked words are caught inside run-together labels', () => {
+  assert.equal(check('apple.com'), 'blocklisted "apple"');
+  assert.equal(check('applestore.com'), 'blocklisted "apple"');
+  assert.equal(check('getopenai.com'), 'blocklisted "openai"');
+  assert.equal(check('mytwitter.io'), 'blocklisted "twitter"');
+  assert.equal(check('bullshit.com'), 'blocklisted "shit"');
+  assert.equal(check('get2nike.dev'), 'blocklisted "nike"');
+  assert.equal(check('myfuckup.com'), 'blocklisted "fuck"');
+});
+
+test('an allowed word only covers itself', () => {
+  assert.equal(check('pineapplestore.com'), null);
+  assert.equal(check('pineapple-apple.com'), 'blocklisted "apple"');
+});
+
+test('config entries use the same syntax', async () => {
+  const custom = await createQualityGate({ blocklist: ['Acme', '!acmena'], blocklistFile: null, exemptStrategies: ['Mine'] });
+  assert.equal(custom('acme.com', 'Mine'), 'blocklisted "acme"');
+  assert.equal(custom('bigacmeco.com', 'Mine'), 'blocklisted "acme"');
+  assert.equal(custom('acmena.com', 'Mine'), null);
+});
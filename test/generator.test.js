@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compileCustomStrategies, createRng, generateDomains, inShard, parseShard, strategyWeights } from '../src/generator.js';
+import { validateConfig } from '../src/config.js';
+import { toAscii } from '../src/idn.js';
+
+// Two small custom strategies with the always-on generators switched off, so a
+// whole run is a few hundred names
+const config = {
+  tlds: ['.com', '.io'],
+  keywords: [],
+  personalNames: [],
+  strategies: [],
+  scheduling: { strategies: { '2-Letter': { enabled: false }, 'Word Combos': { enabled: false }, 'Word+Number': { enabled: false } } },
+  customStrategies: [
+    { name: 'Numbered', words: ['amber', 'birch', 'cedar', 'dune'], pattern: '{word}{D}' },
+    { name: 'Shapes', shape: 'CV', tlds: ['.dev'] },
+  ],
+};
+
+async function take(options = {}, limit = Infinity) {
+  const items = [];
+  for await (const item of generateDomains(config, options)) {
+    items.push(item);
+    if (items.length >= limit) break;
+  }
+  return items;
+}
+
+const names = items => items.map(i => i.domain);
+const ofStrategy = (items, strategy) => names(items.filter(i => i.strategy === strategy));
+
+test('the same seed gives the same sequence', async () => {
+  const first = await take({ seed: 'fixed' });
+  const second = await take({ seed: 'fixed' });
+  const other = await take({ seed: 'another' });
+
+  assert.equal(ofStrategy(first, 'Numbered').length, 4 * 10 * 2);
+  assert.equal(new Set(names(first)).size, first.length);
+  assert.deepEqual(names(second), names(first));
+  assert.notDeepEqual(names(other), names(first));
+  assert.deepEqual(names(other).sort(), names(first).sort());
+});
+
+test('a run resumed from saved cursors continues where the last one stopped', async () => {
+  const full = await take({ seed: 'fixed' });
+  const stopped = await take({ seed: 'fixed' }, 50);
+
+  // What the scan loop saves: per fingerprint, the position after the last item it consumed
+  const positions = {};
+  for (const { fingerprint, position } of stopped) positions[fingerprint] = position + 1;
+  const resumed = await take({ seed: 'fixed', positions });
+
+  assert.equal(stopped.length + resumed.length, full.length);
+  for (const strategy of ['Numbered', 'Shapes']) {
+    assert.deepEqual([...ofStrategy(stopped, strategy), ...ofStrategy(resumed, strategy)], ofStrategy(full, strategy), strategy);
+  }
+});
+
+test('shards are disjoint and together cover every name', async () => {
+  const all = names(await take({ seed: 'fixed' }));
+  const seen = [];
+  for (let i = 1; i <= 3; i++) {
+    const shard = await take({ seed: 'fixed', shard: parseShard(`${i}/3`) });
+    assert.ok(shard.length > 0, `shard ${i}/3 is empty`);
+    seen.push(...names(shard));
+  }
+
+  assert.equal(seen.length, all.length);
+  assert.deepEqual(seen.sort(), [...all].sort());
+});
+
+test('shard specs are validated', () => {
+  assert.deepEqual(parseShard('2/4'), { index: 1, count: 4, spec: '2/4' });
+  for (const spec of ['0/4', '5/4', '1/0', 'two/4', '', undefined]) {
+    assert.throws(() => parseShard(spec), /Invalid shard/, String(spec));
+  }
+});
+
+test('every domain hashes into exactly one shard', () => {
+  const shards = [1, 2, 3, 4, 5].map(i => parseShard(`${i}/5`));
+  const counts = shards.map(() => 0);
+  for (let i = 0; i < 2000; i++) {
+    const domain = `name${i}.${['com', 'io', 'dev'][i % 3]}`;
+    const owners = shards.filter(shard => inShard(domain, shard));
+    assert.equal(owners.length, 1, domain);
+    counts[owners[0].index]++;
+  }
+  // and the split is roughly even
+  for (const n of counts) assert.ok(n > 300 && n < 500, String(counts));
+  assert.equal(inShard('anything.com', null), true);
+});
+
+test('IDNs are sharded by their ASCII form', async () => {
+  const idnConfig = { ...config, customStrategies: [{ name: 'Umlauts', words: ['münchen', 'köln', 'straße', 'café', 'plain'], tlds: ['.de', '.com'] }] };
+  const all = [];
+  for await (const { domain } of generateDomains(idnConfig, { seed: 'fixed' })) all.push(domain);
+  assert.ok(all.some(d => toAscii(d) !== d));
+
+  const seen = [];
+  for (const shard of [1, 2, 3].map(i => parseShard(`${i}/3`))) {
+    for await (const { domain } of generateDomains(idnConfig, { seed: 'fixed', shard })) {
+      // The same shard the retry queue picks for the stored ASCII name
+      assert.ok(inShard(toAscii(domain), shard), domain);
+      seen.push(domain);
+    }
+  }
+  assert.deepEqual(seen.sort(), all.sort());
+});
+
+// Every name a compiled custom strategy yields, sorted
+async function expand(spec, base = {}) {
+  const [strategy] = await compileCustomStrategies({ tlds: ['.com'], keywords: ['nova'], personalNames: ['sam'], ...base, customStrategies: [spec] });
+  return [...strategy.create(createRng('fixed'))].sort();
+}
+
+test('pattern placeholders expand to every combination, with {tld} appended', async () => {
+  assert.deepEqual(await expand({ name: 'P', pattern: '{keyword}-{name}{D}', tlds: ['.io'] }), Array.from({ length: 10 }, (_, d) => `nova-sam${d}.io`));
+  assert.deepEqual(await expand({ name: 'P', pattern: 'get{word}{tld}', words: ['x', 'y'], tlds: ['.a', '.b'] }), ['getx.a', 'getx.b', 'gety.a', 'gety.b']);
+  assert.deepEqual(await expand({ name: 'P', pattern: '{color}{animal}', lists: { color: ['red', 'tan'], animal: ['fox'] } }), ['redfox.com', 'tanfox.com']);
+});
+
+test('shapes take consonants, vowels, letters and digits', async () => {
+  const names = await expand({ name: 'S', shape: 'CVD' });
+  assert.equal(names.length, 20 * 6 * 10);
+  for (const name of names) assert.match(name, /^[bcdfghjklmnpqrstvwxz][aeiouy][0-9]\.com$/);
+  assert.equal((await expand({ name: 'S', shape: 'L' })).length, 26);
+});
+
+test('a word list with prefixes and suffixes also yields the bare words', async () => {
+  assert.deepEqual(await expand({ name: 'W', words: ['lab'], prefixes: ['my'], suffixes: ['hq', 'ly'] }), ['lab.com', 'labhq.com', 'lably.com', 'mylab.com']);
+});
+
+test('words can come from a file, one per line, comments skipped', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'radar-words-'));
+  try {
+    const file = join(dir, 'words.txt');
+    await writeFile(file, '# birds\nWren\n\n  kite \n');
+    assert.deepEqual(await expand({ name: 'F', wordsFile: file }), ['kite.com', 'wren.com']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('custom strategy definitions are validated', () => {
+  const problems = raw => {
+    try {
+      validateConfig({ customStrategies: raw });
+      return '';
+    } catch (err) {
+      return err.message;
+    }
+  };
+  assert.equal(problems([{ name: 'Good', pattern: '{word}{CV}{mood}', lists: { mood: ['up'] } }]), '');
+  assert.match(problems([{ name: 'Typo', pattern: '{wrod}{D}' }]), /customStrategies\[0\]\.pattern uses unknown placeholder \{wrod\} \(did you mean "word"\?\)/);
+  assert.match(problems([{ name: 'Odd', shape: 'CVX' }]), /customStrategies\[0\]\.shape may only use C/);
+  assert.match(problems([{ name: 'Both', shape: 'CV', words: ['a'] }]), /needs exactly one of pattern, shape, words, wordsFile/);
+  assert.match(problems([{ name: 'Word Combos', words: ['a'] }]), /reuses the strategy name "Word Combos"/);
+  assert.match(problems([{ words: ['a'] }]), /customStrategies\[0\] needs a name/);
+});
+
+test('an unknown placeholder that slips past validation fails loudly', async () => {
+  await assert.rejects(expand({ name: 'Bad', pattern: '{nope}' }), /Strategy "Bad" uses unknown placeholder \{nope\}/);
+});
+
+test('configured weights win over strategy defaults', () => {
+  const strategies = [{ name: 'A' }, { name: 'B', weight: 3 }, { name: 'C', weight: 2 }];
+  assert.deepEqual(strategyWeights(strategies, { strategies: { C: { weight: 0.5 } } }), { A: 1, B: 3, C: 0.5 });
+  // Adaptive without any finds yet changes nothing
+  assert.deepEqual(strategyWeights(strategies, { adaptive: true }, { A: { checked: 100, found: 0 } }), { A: 1, B: 3, C: 2 });
+});
+
+test('adaptive weights follow hit rates, damped by minSamples and clamped', () => {
+  const strategies = [{ name: 'Hot' }, { name: 'Cold' }, { name: 'New' }];
+  const hitRates = { Hot: { checked: 1000, found: 30 }, Cold: { checked: 1000, found: 0 } };
+  const scheduling = { adaptive: true, minSamples: 0, minFactor: 0.25, maxFactor: 1.5 };
+
+  const weights = strategyWeights(strategies, scheduling, hitRates);
+  assert.equal(weights.Hot, 1.5); // twice the mean, clamped to maxFactor
+  assert.equal(weights.Cold, 0.25); // never found anything, clamped to minFactor
+  assert.equal(weights.New, 1); // nothing to go on yet: keeps its weight
+
+  // 1000 samples of the mean (1.5%) on top of each strategy's own
+  const damped = strategyWeights(strategies, { adaptive: true, minSamples: 1000 }, hitRates);
+  assert.deepEqual(damped, { Hot: 1.5, Cold: 0.5, New: 1 });
+});
+
+test('output is split between strategies by weight', async () => {
+  const weighted = {
+    ...config,
+    customStrategies: [
+      { name: 'Heavy', shape: 'CVC', weight: 3 },
+      { name: 'Light', shape: 'VCV' },
+      { name: 'Tuned', shape: 'CCV' },
+    ],
+    scheduling: { strategies: { ...config.scheduling.strategies, Tuned: { weight: 2 } } },
+  };
+  const items = [];
+  for await (const item of generateDomains(weighted, { seed: 'fixed' })) {
+    items.push(item);
+    if (items.length === 600) break;
+  }
+  assert.equal(ofStrategy(items, 'Heavy').length, 300);
+  assert.equal(ofStrategy(items, 'Tuned').length, 200);
+  assert.equal(ofStrategy(items, 'Light').length, 100);
+});
+
+test('adaptive runs shift output towards the strategies that find names', async () => {
+  const adaptive = {
+    ...config,
+    customStrategies: [{ name: 'Hot', shape: 'CVC' }, { name: 'Cold', shape: 'VCV' }],
+    scheduling: { ...config.scheduling, adaptive: true, minSamples: 0, maxFactor: 4, minFactor: 0.5 },
+  };
+  const hitRates = { Hot: { checked: 100, found: 10 }, Cold: { checked: 100, found: 1 } };
+  const items = [];
+  for await (const item of generateDomains(adaptive, { seed: 'fixed', hitRates })) {
+    items.push(item);
+    if (items.length === 500) break;
+  }
+  // Hot: 10/5.5 of the mean, Cold: clamped at 0.5 — about 78% to Hot
+  const hot = ofStrategy(items, 'Hot').length;
+  assert.ok(hot > 370 && hot < 410, `Hot got ${hot} of 500`);
+});
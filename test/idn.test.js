@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { confusableWith, createIdnRules, describeName, foldLabel, isIdn, scriptsOf, toAscii, toUnicode } from '../src/idn.js';
+
+const check = createIdnRules();
+
+test('names round-trip between Unicode and punycode', () => {
+  for (const [unicode, ascii] of [['münchen.de', 'xn--mnchen-3ya.de'], ['café.com', 'xn--caf-dma.com'], ['日本語.com', 'xn--wgv71a119e.com']]) {
+    assert.equal(toAscii(unicode), ascii);
+    assert.equal(toUnicode(ascii), unicode);
+    assert.equal(toAscii(toUnicode(ascii)), ascii);
+  }
+  assert.equal(toAscii('Plain.COM'), 'plain.com');
+  assert.equal(toUnicode('plain.com'), 'plain.com');
+  assert.equal(describeName('xn--mnchen-3ya.de'), 'münchen.de (xn--mnchen-3ya.de)');
+  assert.equal(describeName('plain.com'), 'plain.com');
+});
+
+test('names without an ASCII form are refused', () => {
+  for (const name of ['no_way.com', '-dash.com', 'ab--cd.com', 'a'.repeat(64) + '.com']) {
+    assert.equal(toAscii(name), null, name);
+    assert.equal(check(name), 'invalid name', name);
+  }
+});
+
+test('IDN detection and folding for the a-z checks', () => {
+  assert.equal(isIdn('xn--mnchen-3ya.de'), true);
+  assert.equal(isIdn('münchen.de'), true);
+  assert.equal(isIdn('munchen.de'), false);
+  assert.equal(foldLabel('straße'), 'strasse');
+  assert.equal(foldLabel('crème'), 'creme');
+});
+
+test('each TLD takes only the letters its registry accepts', () => {
+  assert.equal(check('münchen.de'), null);
+  assert.equal(check('plain.io'), null);
+  assert.equal(check('café.io'), 'no IDNs on .io');
+  assert.equal(check('smørrebrød.at'), null);
+  assert.equal(check('łódź.at'), '"ł" not allowed on .at');
+  assert.equal(check('日本語.org'), null);
+  assert.equal(check('ñ♥.com'), '"♥" is not a letter');
+  assert.equal(createIdnRules({ rules: { '.de': false } })('münchen.de'), 'no IDNs on .de');
+});
+
+test('mixed scripts are refused unless a language mixes them', () => {
+  assert.deepEqual(scriptsOf('caféλόγος'), ['Latin', 'Greek']);
+  assert.equal(check('caféλόγος.com'), 'mixed scripts (Latin, Greek)');
+  assert.equal(check('tokyo東京.com'), null);
+  assert.equal(check('서울seoul.com'), null);
+  assert.equal(createIdnRules({ allowMixedScripts: true })('caféλόγος.com'), null);
+});
+
+test('lookalikes of plain ASCII names are refused', () => {
+  assert.equal(confusableWith('раураӏ'), 'paypal'); // all Cyrillic
+  assert.equal(check('раураӏ.com'), 'homograph of paypal.com');
+  assert.equal(check('аррӏе.com'), 'homograph of apple.com');
+  assert.equal(check('ѕсоре.com'), 'homograph of scope.com');
+  assert.equal(check('οκ.com'), 'homograph of ok.com'); // Greek
+  // A lookalike mixed into a Latin name is caught as a script mix
+  assert.equal(check('раураl.com'), 'mixed scripts (Cyrillic, Latin)');
+  assert.equal(confusableWith('plain'), null);
+  // Cyrillic н looks like a capital H, which no lowercase label can imitate
+  assert.equal(confusableWith('мон'), null);
+  assert.equal(check('мон.com'), null);
+  assert.equal(confusableWith('һеllo'), 'hello');
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { classifyResult, expandNames, parseNameList } from '../src/manual.js';
+import { startMockRegistry } from './mock-registry.js';
+import { createScratchRepo } from './scratch-repo.js';
+
+test('name lists take lines, commas and comments', () => {
+  const text = '# from the meeting\nZappo\nfoo.dev, bar.io  baz\n\n  quux.com. # trailing dot\n';
+  assert.deepEqual(parseNameList(text), ['zappo', 'foo.dev', 'bar.io', 'baz', 'quux.com']);
+});
+
+test('bare labels expand across TLDs, repeats collapse, bad names are set aside', () => {
+  const { domains, invalid } = expandNames(['zappo', 'zappo.com', 'bücher.de', 'no_way'], ['.com', '.io']);
+  assert.deepEqual(domains, ['zappo.com', 'zappo.io', 'xn--bcher-kva.de']);
+  assert.deepEqual(invalid, ['no_way.com', 'no_way.io']);
+});
+
+test('results follow the scan loop rules', () => {
+  const options = { maxPrice: 50 };
+  assert.equal(classifyResult('a.com', { available: false }, options).status, 'taken');
+  assert.equal(classifyResult('a.com', { available: null, reason: 'HTTP 500' }, options).reason, 'HTTP 500');
+  assert.equal(classifyResult('a.com', undefined, options).status, 'inconclusive');
+  assert.equal(classifyResult('a.com', { available: true }, options).status, 'available');
+  assert.equal(classifyResult('a.ai', { available: true }, options).status, 'budget');
+
+  const premium = amount => ({ available: true, premium: true, eppPrice: { amount, currency: 'USD' } });
+  assert.equal(classifyResult('a.com', premium(5000), options).status, 'premium');
+  assert.equal(classifyResult('a.com', premium(40), options).status, 'available');
+  // No rate for the quote's currency: can't show it's affordable, so it isn't
+  const unpriced = classifyResult('a.com', { available: true, premium: true, eppPrice: { amount: 10, currency: 'XYZ' } }, options);
+  assert.equal(unpriced.status, 'premium');
+  assert.equal(unpriced.label, '10 XYZ/yr, no XYZ rate');
+
+  const verdict = { confidence: 'single-source', verifiedBy: [] };
+  assert.equal(classifyResult('a.com', { available: true }, { ...options, verdict, minConfidence: 'confirmed' }).status, 'held');
+  assert.equal(classifyResult('a.com', { available: true }, { ...options, verdict, minConfidence: 'single-source' }).status, 'available');
+});
+
+// --- `check --file` end to end ---
+
+let mock;
+let repo;
+
+before(async () => {
+  mock = await startMockRegistry({ domains: { 'pricey.com': { state: 'premium', fee: 5000 } } });
+  repo = await createScratchRepo({
+    tlds: ['.com', '.dev'],
+    maxPricePerYear: 50,
+    providers: ['epp', 'rdap'],
+    verification: { enabled: true, providers: ['rdap'] },
+    rateLimit: { requestsPerSecond: 1000, burst: 1000 },
+  }, { endpoints: mock.endpoints });
+});
+
+after(async () => {
+  await mock.close();
+  await repo.remove();
+});
+
+test('check reads stdin and prints one JSON line per domain', async () => {
+  const { stdout } = await repo.run(['check', '--file', '-', '--json'], { input: 'meetup\ntakenone.com\npricey.com\n' });
+  const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepEqual(lines.map(l => [l.domain, l.status]), [
+    ['meetup.com', 'available'],
+    ['meetup.dev', 'available'],
+    ['takenone.com', 'taken'],
+    ['pricey.com', 'premium'],
+  ]);
+  assert.deepEqual(lines[0].price, { amount: 12, currency: 'USD' });
+  await assert.rejects(repo.readData('found.json'));
+});
+
+test('check only verifies names the price rules keep', async () => {
+  const seen = mock.requests.length;
+  await repo.run(['check', 'verifyme.com', 'pricey.com', '--json']);
+  const lookups = mock.requests.slice(seen).filter(r => r.path.startsWith('/rdap/domain/')).map(r => r.path.split('/').pop());
+  assert.deepEqual(lookups, ['verifyme.com']);
+});
+
+test('check --save files finds under Manual and marks everything checked', async () => {
+  const { stdout } = await repo.run(['check', 'keeper.com', 'takentwo.com', 'pricey.com', '--save']);
+  assert.match(stdout, /3 checked: 1 available, 1 taken, 1 premium/);
+
+  const found = await repo.readData('found.json');
+  assert.deepEqual(found.map(f => [f.domain, f.strategy, f.status]), [['keeper.com', 'Manual', 'available']]);
+
+  const checked = await repo.readData('checked.json').catch(() => []);
+  const journal = await readFile(join(repo.root, 'data', 'checked.log'), 'utf8').catch(() => '');
+  const all = new Set([...checked, ...journal.split('\n')]);
+  for (const domain of ['keeper.com', 'takentwo.com', 'pricey.com']) assert.ok(all.has(domain), domain);
+
+  // A second save doesn't add the same find twice
+  await repo.run(['check', 'keeper.com', '--save']);
+  assert.equal((await repo.readData('found.json')).length, 1);
+});
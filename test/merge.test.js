@@ -0,0 +1,106 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mergeShards } from '../src/merge.js';
+
+// Same layout the workflow produces: data/ plus one artifact directory per shard
+let root;
+
+async function writeData(dir, files) {
+  await mkdir(dir, { recursive: true });
+  for (const [name, value] of Object.entries(files)) {
+    await writeFile(join(dir, name), typeof value === 'string' ? value : JSON.stringify(value));
+  }
+}
+
+async function readData(name) {
+  return JSON.parse(await readFile(join(root, 'data', name), 'utf8'));
+}
+
+const found = (domain, checkedAt, extra = {}) => ({
+  domain, strategy: 'Short Combos', tld: '.' + domain.split('.').pop(), price: { amount: 12, currency: 'USD' }, premium: false, checkedAt, ...extra,
+});
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'radar-merge-'));
+  await writeData(join(root, 'data'), {
+    'checked.json': ['old.com', 'dup.com'],
+    'found.json': [found('dup.com', '2026-01-01T00:00:00.000Z')],
+  });
+  await writeData(join(root, 'shards', 'results-1'), {
+    'checked.log': 'dup.com\nnew.com\nretried.com\n',
+    'found.json': [
+      found('dup.com', '2026-03-01T00:00:00.000Z', { price: { amount: 15, currency: 'USD' } }),
+      found('new.com', '2026-03-01T00:00:00.000Z'),
+    ],
+  });
+  await writeData(join(root, 'shards', 'results-2'), {
+    'checked.log': 'new.com\nother.com\n',
+    'found.json': [found('new.com', '2026-02-01T00:00:00.000Z')],
+    'retry.json': { 'retried.com': { strategy: 'Short Combos', attempts: 2 }, 'pending.com': { strategy: 'Short Combos', attempts: 1 } },
+  });
+});
+
+afterEach(() => rm(root, { recursive: true, force: true }));
+
+test('each domain is kept once across the repo and every shard', async () => {
+  const merged = await mergeShards(join(root, 'data'), [join(root, 'shards', 'results-1'), join(root, 'shards', 'results-2')]);
+
+  assert.deepEqual(merged.found.map(f => f.domain).sort(), ['dup.com', 'new.com']);
+  assert.deepEqual([...merged.checked].sort(), ['dup.com', 'new.com', 'old.com', 'other.com', 'retried.com']);
+
+  const written = await readData('found.json');
+  assert.equal(written.length, 2);
+  assert.deepEqual((await readData('checked.json')).sort(), [...merged.checked].sort());
+});
+
+test('the freshest observation wins and disagreements are recorded', async () => {
+  const merged = await mergeShards(join(root, 'data'), [join(root, 'shards', 'results-1'), join(root, 'shards', 'results-2')]);
+
+  const dup = merged.found.find(f => f.domain === 'dup.com');
+  assert.equal(dup.checkedAt, '2026-03-01T00:00:00.000Z');
+  assert.deepEqual(dup.price, { amount: 15, currency: 'USD' });
+  assert.equal(merged.found.find(f => f.domain === 'new.com').checkedAt, '2026-03-01T00:00:00.000Z');
+
+  // new.com agrees everywhere; dup.com changed price between observations
+  assert.deepEqual(merged.conflicts.map(c => c.domain), ['dup.com']);
+  assert.equal(merged.conflicts[0].kept, 'results-1');
+  assert.deepEqual(await readData('merge-conflicts.json'), merged.conflicts);
+});
+
+test('retries another shard has since resolved are dropped', async () => {
+  const merged = await mergeShards(join(root, 'data'), [join(root, 'shards', 'results-1'), join(root, 'shards', 'results-2')]);
+
+  assert.deepEqual(Object.keys(merged.retry), ['pending.com']);
+});
+
+test('merging the same shard twice changes nothing', async () => {
+  const shards = [join(root, 'shards', 'results-1'), join(root, 'shards', 'results-2')];
+  const first = await mergeShards(join(root, 'data'), shards);
+  const second = await mergeShards(join(root, 'data'), shards);
+
+  assert.deepEqual(second.found, first.found);
+  assert.deepEqual([...second.checked].sort(), [...first.checked].sort());
+});
+
+test('legacy results.json entries are normalized and scored like loaded results', async () => {
+  const legacy = { domain: 'legacy.com', strategy: 'Short Combos', price: '$89/yr', premium: false, checkedAt: '2025-06-01T00:00:00.000Z' };
+  await writeData(join(root, 'data'), { 'results.json': { checked: ['legacy.com'], found: [legacy] } });
+  // A shard that loaded and re-saved the same entry, unchanged since
+  await writeData(join(root, 'shards', 'results-1'), {
+    'found.json': [{ ...legacy, price: { amount: 89, currency: 'USD' }, score: 40 }],
+  });
+
+  const merged = await mergeShards(join(root, 'data'), [join(root, 'shards', 'results-1'), join(root, 'shards', 'results-2')]);
+
+  for (const entry of await readData('found.json')) {
+    assert.equal(typeof entry.price, 'object', entry.domain);
+    assert.equal(typeof entry.score, 'number', entry.domain);
+  }
+  const kept = merged.found.find(f => f.domain === 'legacy.com');
+  assert.deepEqual(kept.price, { amount: 89, currency: 'USD' });
+  assert.ok(merged.checked.has('legacy.com'));
+  assert.ok(!merged.conflicts.some(c => c.domain === 'legacy.com'));
+});
@@ -0,0 +1,117 @@
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+// --- Mock registry: EPP and RDAP answers without the network ---
+// Speaks the same shapes as domains.revved.com and an RDAP server, and serves
+// an IANA-style bootstrap that points back at itself. How a domain behaves comes
+// from `domains` (exact names), otherwise from the start of its label:
+//   taken…     registered
+//   premium…   available at a premium fee
+//   reserved…  held back by the registry
+//   unlisted…  left out of EPP responses, available over RDAP
+//   limited…   429 Too Many Requests
+//   slow…      never answered, so the client times out
+//   anything else is available.
+// Run it directly for manual runs: `npm run mock`, then point
+// RADAR_ENDPOINTS__EPP and RADAR_ENDPOINTS__RDAP_BOOTSTRAP at it.
+
+export const SCENARIOS = ['available', 'taken', 'premium', 'reserved', 'unlisted', 'limited', 'slow'];
+
+const RDAP_TLDS = ['com', 'net', 'org', 'dev', 'io', 'app'];
+
+// { state, fee?, currency? } for a domain
+function scenarioOf(domain, domains, premiumFee) {
+  const spec = domains[domain];
+  if (spec) return typeof spec === 'string' ? { state: spec, fee: premiumFee } : { fee: premiumFee, ...spec };
+  const label = domain.split('.')[0];
+  const state = SCENARIOS.find(s => s !== 'available' && label.startsWith(s)) ?? 'available';
+  return { state, fee: premiumFee };
+}
+
+function eppEntry(name, { state, fee, currency }) {
+  switch (state) {
+    case 'taken':
+      return { name, available: false, premium: false };
+    case 'premium':
+      return { name, available: true, premium: true, fee: { amount: fee, ...(currency ? { currency } : {}) } };
+    case 'reserved':
+      return { name, available: false, premium: false, reason: 'Reserved by registry' };
+    default:
+      return { name, available: true, premium: false };
+  }
+}
+
+function sendJson(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(JSON.stringify(body));
+}
+
+export async function startMockRegistry({ port = 0, host = '127.0.0.1', domains = {}, premiumFee = 1200 } = {}) {
+  const requests = [];
+  let base;
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, base);
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    if (url.pathname === '/v1/domainStatus') {
+      const names = (url.searchParams.get('domains') ?? '').split(',').filter(Boolean);
+      const asked = names.map(name => ({ name, ...scenarioOf(name, domains, premiumFee) }));
+      if (asked.some(a => a.state === 'slow')) return; // hold the request open
+      if (asked.some(a => a.state === 'limited')) return sendJson(res, 429, { error: 'rate limited' });
+      const status = asked.filter(a => a.state !== 'unlisted').map(({ name, ...s }) => eppEntry(name, s));
+      return sendJson(res, 200, { status });
+    }
+
+    if (url.pathname === '/rdap/dns.json') {
+      return sendJson(res, 200, { version: '1.0', services: [[RDAP_TLDS, [`${base}/rdap/`]]] });
+    }
+
+    const match = url.pathname.match(/^\/rdap\/domain\/([^/]+)$/);
+    if (match) {
+      const name = decodeURIComponent(match[1]).toLowerCase();
+      const { state } = scenarioOf(name, domains, premiumFee);
+      const rdap = 'application/rdap+json';
+      switch (state) {
+        case 'slow':
+          return;
+        case 'limited':
+          return sendJson(res, 429, { errorCode: 429, title: 'Too Many Requests' }, rdap);
+        case 'taken':
+          return sendJson(res, 200, { objectClassName: 'domain', ldhName: name, status: ['active'] }, rdap);
+        case 'reserved':
+          return sendJson(res, 404, { errorCode: 404, description: ['This name is reserved by the registry'] }, rdap);
+        default:
+          return sendJson(res, 404, { errorCode: 404, title: 'Not Found' }, rdap);
+      }
+    }
+
+    sendJson(res, 404, { error: `no mock for ${url.pathname}` });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  base = `http://${host}:${server.address().port}`;
+
+  return {
+    url: base,
+    endpoints: { epp: `${base}/v1/domainStatus`, rdapBootstrap: `${base}/rdap/dns.json` },
+    requests,
+    close() {
+      server.closeAllConnections(); // including the ones `slow…` domains left hanging
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({ options: { port: { type: 'string', default: '4555' } } });
+  const mock = await startMockRegistry({ port: Number(values.port) });
+  console.log(`  Mock registry on ${mock.url}\n`);
+  console.log(`    RADAR_ENDPOINTS__EPP=${mock.endpoints.epp}`);
+  console.log(`    RADAR_ENDPOINTS__RDAP_BOOTSTRAP=${mock.endpoints.rdapBootstrap}\n`);
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createTcpServer } from 'net';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWebhookNotifier } from '../src/notifiers/webhook.js';
+import { createSmtpNotifier } from '../src/notifiers/smtp.js';
+import { createCommandNotifier } from '../src/notifiers/command.js';
+
+const batch = {
+  subject: 'Domain Radar: 2 finds',
+  text: 'brightfox.com  $10.00\n.dotted line\nmünchen.de  €8.00',
+  domains: [{ domain: 'brightfox.com' }, { domain: 'xn--mnchen-3ya.de' }],
+};
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server.address().port;
+}
+
+function close(server) {
+  server.closeAllConnections?.();
+  return new Promise(resolve => server.close(resolve));
+}
+
+// --- Webhook ---
+
+// A server answering every POST with `status`, keeping what it was sent
+async function startHook(status = 204) {
+  const received = [];
+  const server = createHttpServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}/hook`, received, close: () => close(server) };
+}
+
+test('webhook posts the batch as JSON with the configured headers', async () => {
+  const hook = await startHook();
+  try {
+    await createWebhookNotifier({ url: hook.url, headers: { 'X-Token': 'abc' } }).send(batch);
+
+    assert.equal(hook.received.length, 1);
+    const [request] = hook.received;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/hook');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-token'], 'abc');
+    assert.deepEqual(request.body, batch);
+  } finally {
+    await hook.close();
+  }
+});
+
+test('webhook shapes the body for chat services and takes its url from the environment', async () => {
+  const hook = await startHook();
+  process.env.RADAR_TEST_HOOK = hook.url;
+  try {
+    await createWebhookNotifier({ urlEnv: 'RADAR_TEST_HOOK', format: 'slack' }).send(batch);
+    await createWebhookNotifier({ url: hook.url, format: 'discord' }).send(batch);
+
+    assert.deepEqual(hook.received.map(r => r.body), [{ text: batch.text }, { content: batch.text }]);
+  } finally {
+    delete process.env.RADAR_TEST_HOOK;
+    await hook.close();
+  }
+});
+
+test('webhook rejects on a non-2xx answer', async () => {
+  const hook = await startHook(500);
+  try {
+    await assert.rejects(createWebhookNotifier({ url: hook.url }).send(batch), /HTTP 500 from 127\.0\.0\.1/);
+  } finally {
+    await hook.close();
+  }
+});
+
+// --- SMTP ---
+
+// Just enough of a mail server: answers each command from `replies` (or 250),
+// collects the session and the message, and never offers STARTTLS
+async function startSmtpStub({ replies = {}, greet = true } = {}) {
+  const session = { commands: [], message: null };
+  const server = createTcpServer(socket => {
+    let buffer = '';
+    let inData = false;
+    const reply = line => socket.write(line + '\r\n');
+    if (greet) reply('220 stub ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let i;
+      while ((i = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            reply('250 queued');
+          } else {
+            session.message.push(line);
+          }
+          continue;
+        }
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          reply(replies[verb]);
+        } else if (verb === 'EHLO') {
+          reply('250-stub\r\n250-AUTH PLAIN\r\n250 8BITMIME');
+        } else if (verb === 'AUTH') {
+          reply('235 ok');
+        } else if (verb === 'DATA') {
+          inData = true;
+          session.message = [];
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, session, close: () => close(server) };
+}
+
+const mailOptions = port => ({
+  host: '127.0.0.1',
+  port,
+  from: 'Domain Radar <radar@example.com>',
+  to: ['me@example.com', 'you@example.com'],
+  timeoutMs: 2000,
+});
+
+test('smtp delivers the batch as a plain-text message', async () => {
+  const stub = await startSmtpStub();
+  process.env.RADAR_TEST_SMTP_PASSWORD = 'secret';
+  try {
+    const notifier = createSmtpNotifier({ ...mailOptions(stub.port), username: 'radar', passwordEnv: 'RADAR_TEST_SMTP_PASSWORD' });
+    await notifier.send(batch);
+
+    const { commands, message } = stub.session;
+    assert.match(commands[0], /^EHLO /);
+    assert.equal(commands[1], `AUTH PLAIN ${Buffer.from('\0radar\0secret').toString('base64')}`);
+    assert.deepEqual(commands.slice(2), [
+      'MAIL FROM:<radar@example.com>',
+      'RCPT TO:<me@example.com>',
+      'RCPT TO:<you@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+
+    const blank = message.indexOf('');
+    const headers = message.slice(0, blank);
+    assert.ok(headers.includes('From: Domain Radar <radar@example.com>'));
+    assert.ok(headers.includes('To: me@example.com, you@example.com'));
+    assert.ok(headers.includes(`Subject: ${batch.subject}`));
+    assert.ok(headers.includes('Content-Type: text/plain; charset=utf-8'));
+    // the dot-led line is doubled so it can't end DATA early
+    assert.deepEqual(message.slice(blank + 1), ['brightfox.com  $10.00', '..dotted line', 'münchen.de  €8.00']);
+  } finally {
+    delete process.env.RADAR_TEST_SMTP_PASSWORD;
+    await stub.close();
+  }
+});
+
+test('smtp rejects when the server refuses a recipient', async () => {
+  const stub = await startSmtpStub({ replies: { RCPT: '550 no such user' } });
+  try {
+    await assert.rejects(createSmtpNotifier(mailOptions(stub.port)).send(batch), /SMTP RCPT TO:<me@example\.com>: 550 no such user/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('smtp gives up on a server that never greets', async () => {
+  const stub = await startSmtpStub({ greet: false });
+  try {
+    await assert.rejects(createSmtpNotifier({ ...mailOptions(stub.port), timeoutMs: 200 }).send(batch), /SMTP timeout talking to 127\.0\.0\.1/);
+  } finally {
+    await stub.close();
+  }
+});
+
+// --- Local command ---
+
+test('command gets the batch on stdin and the filled-in args', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'radar-notify-'));
+  const out = join(dir, 'out.json');
+  const script = `
+    let input = '';
+    process.stdin.on('data', c => { input += c; });
+    process.stdin.on('end', () => require('fs').writeFileSync(process.argv[1], JSON.stringify({ args: process.argv.slice(2), input: JSON.parse(input) })));
+  `;
+  try {
+    await createCommandNotifier({ command: process.execPath, args: ['-e', script, out, '{subject}', 'Finds: {text}'] }).send(batch);
+
+    const seen = JSON.parse(await readFile(out, 'utf8'));
+    assert.deepEqual(seen.args, [batch.subject, `Finds: ${batch.text}`]);
+    assert.deepEqual(seen.input, batch);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('command rejects with its exit code and first stderr line', async () => {
+  const notifier = createCommandNotifier({ command: process.execPath, args: ['-e', 'console.error("quota exceeded\\nmore"); process.exit(3)'] });
+  await assert.rejects(notifier.send(batch), /exited with 3: quota exceeded$/);
+});
+
+test('command is killed once it runs past its timeout', async () => {
+  const notifier = createCommandNotifier({ command: process.execPath, args: ['-e', 'setTimeout(() => {}, 10000)'], timeoutMs: 200 });
+  await assert.rejects(notifier.send(batch), /killed by SIGTERM/);
+});
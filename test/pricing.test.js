@@ -0,0 +1,122 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { configureCurrency } from '../src/currency.js';
+import { getPrices, loadPrices, premiumOverBudget, quoteResult } from '../src/pricing.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'radar-prices-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// Built-in estimates only: .com registers and renews at $12
+afterEach(() => {
+  configureCurrency();
+  return loadPrices({ file: null });
+});
+
+const premium = (amount, currency = 'USD') => ({ available: true, premium: true, eppPrice: { amount, currency } });
+
+function overBudget(domain, result, maxPrice) {
+  return premiumOverBudget(domain, result, quoteResult(domain, result).price, maxPrice);
+}
+
+test('premium quotes are budgeted on the configured basis', async () => {
+  await loadPrices({ file: null, basis: 'firstYear' });
+  assert.equal(overBudget('pricey.com', premium(500), 50), true);
+  assert.equal(overBudget('bargain.com', premium(40), 50), false);
+
+  // Renewals come from the list price, so a dear first year doesn't decide it
+  await loadPrices({ file: null, basis: 'renewal' });
+  assert.equal(overBudget('pricey.com', premium(500), 50), false);
+
+  // (500 + 12 + 12) / 3
+  await loadPrices({ file: null, basis: 'total', years: 3 });
+  assert.equal(overBudget('pricey.com', premium(500), 200), false);
+  assert.equal(overBudget('pricey.com', premium(500), 150), true);
+});
+
+test('premiums on TLDs without a list price renew at the quote', async () => {
+  await loadPrices({ file: null, basis: 'renewal' });
+  assert.equal(overBudget('pricey.example', premium(500), 50), true);
+});
+
+test('regular names and unpriceable quotes', async () => {
+  await loadPrices({ file: null, basis: 'renewal' });
+  assert.equal(overBudget('plain.com', { available: true }, 50), false);
+  assert.equal(overBudget('exotic.com', premium(10, 'XYZ'), 50), true);
+});
+
+async function priceFile(name, data) {
+  const path = join(dir, name);
+  await writeFile(path, typeof data === 'string' ? data : JSON.stringify(data));
+  return path;
+}
+
+const FILE = {
+  updatedAt: '2026-01-01T00:00:00Z',
+  source: 'test prices',
+  currency: 'EUR',
+  registrars: {
+    alpha: { '.com': { register: 9.2, renew: 18.4, transfer: 13.8 }, '.io': { register: 30, currency: 'USD' } },
+    beta: { '.com': { register: 13, renew: 13, currency: 'USD' }, '.dev': { register: 4.6, renew: 9.2 } },
+  },
+};
+
+test('a price file gives each TLD its cheapest registrar, converted to the display currency', async () => {
+  const status = await loadPrices({ file: await priceFile('prices.json', FILE), maxAgeHours: Infinity });
+  assert.equal(status.source, 'test prices');
+  assert.equal(status.stale, false);
+
+  // File amounts are EUR unless an entry says otherwise; EUR 0.92 = USD 1
+  assert.deepEqual(getPrices('.com'), { registrar: 'alpha', currency: 'USD', register: 10, renew: 20, transfer: 15 });
+  // Missing renew and transfer fall back to the register price
+  assert.deepEqual(getPrices('.io'), { registrar: 'alpha', currency: 'USD', register: 30, renew: 30, transfer: 30 });
+  assert.deepEqual(getPrices('.dev'), { registrar: 'beta', currency: 'USD', register: 5, renew: 10, transfer: 10 });
+  assert.equal(getPrices('.ai'), null);
+});
+
+test('the cheapest registrar depends on the basis, or one can be named', async () => {
+  const file = await priceFile('prices.json', FILE);
+  await loadPrices({ file, basis: 'renewal' });
+  assert.equal(getPrices('.com').registrar, 'beta');
+  await loadPrices({ file, basis: 'total', years: 2 }); // alpha 15/yr, beta 13/yr
+  assert.equal(getPrices('.com').registrar, 'beta');
+  await loadPrices({ file, basis: 'total', years: 1 });
+  assert.equal(getPrices('.com').registrar, 'alpha');
+
+  await loadPrices({ file, registrar: 'beta' });
+  assert.equal(getPrices('.com').register, 13);
+  assert.equal(getPrices('.io'), null);
+});
+
+test('prices come out in the display currency', async () => {
+  configureCurrency({ code: 'EUR' });
+  await loadPrices({ file: await priceFile('prices.json', FILE) });
+  assert.deepEqual(getPrices('.com'), { registrar: 'alpha', currency: 'EUR', register: 9.2, renew: 18.4, transfer: 13.8 });
+});
+
+test('entries in a currency without a rate are skipped', async () => {
+  const file = await priceFile('odd.json', { registrars: { odd: { '.com': { register: 1, currency: 'XYZ' } }, plain: { '.com': { register: 11 } } } });
+  await loadPrices({ file });
+  assert.deepEqual(getPrices('.com'), { registrar: 'plain', currency: 'USD', register: 11, renew: 11, transfer: 11 });
+});
+
+test('old price files are flagged stale', async () => {
+  const status = await loadPrices({ file: await priceFile('prices.json', FILE), maxAgeHours: 24 });
+  assert.equal(status.stale, true);
+  assert.ok(status.ageHours > 24);
+});
+
+test('missing, broken or shapeless files fall back to the built-in estimates', async () => {
+  for (const file of [join(dir, 'none.json'), await priceFile('broken.json', '{ "registrars": '), await priceFile('empty.json', { currency: 'EUR' })]) {
+    const status = await loadPrices({ file });
+    assert.equal(status.source, 'built-in estimates', file);
+    assert.equal(getPrices('.com').register, 12);
+  }
+});
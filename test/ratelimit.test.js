@@ -0,0 +1,100 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { acquire, configureRateLimit, getEffectiveRate, limitedFetch, nextConcurrency, parseRetryAfter, report } from '../src/ratelimit.js';
+import { startMockRegistry } from './mock-registry.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockRegistry();
+});
+
+after(() => mock.close());
+
+beforeEach(() => configureRateLimit({ requestsPerSecond: 1000, burst: 1000, maxRetries: 0, baseBackoffMs: 0 }));
+
+const eppUrl = domain => `${mock.endpoints.epp}?domains=${domain}`;
+const asked = domain => mock.requests.filter(r => r.query === `?domains=${domain}`).length;
+
+test('the bucket lets a burst through, then paces requests at the configured rate', async () => {
+  configureRateLimit({ requestsPerSecond: 10, burst: 3 });
+  const started = Date.now();
+  for (let i = 0; i < 3; i++) await acquire('burst.example');
+  assert.ok(Date.now() - started < 80, 'the burst should not wait');
+
+  for (let i = 0; i < 3; i++) await acquire('burst.example');
+  // three more tokens at 10/s take about 300ms
+  assert.ok(Date.now() - started >= 280, `took ${Date.now() - started}ms`);
+});
+
+test('hosts have their own buckets and per-host limits', async () => {
+  configureRateLimit({ requestsPerSecond: 1, burst: 1, hosts: { 'fast.example': { requestsPerSecond: 1000, burst: 1000 } } });
+  await acquire('slow.example');
+  const started = Date.now();
+  for (let i = 0; i < 50; i++) await acquire('fast.example');
+  assert.ok(Date.now() - started < 500, 'fast.example should not share slow.example\'s limit');
+});
+
+test('a throttled registry is retried with backoff, and the last 429 is returned', async () => {
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000, maxRetries: 2, baseBackoffMs: 40, maxBackoffMs: 1000 });
+  const started = Date.now();
+  const res = await limitedFetch(eppUrl('limited1.com'), { timeoutMs: 1000 });
+
+  assert.equal(res.status, 429);
+  assert.equal(asked('limited1.com'), 3);
+  // backoff before retry 1 and 2: about 40ms then 80ms, ±20% jitter
+  assert.ok(Date.now() - started >= 95, `took ${Date.now() - started}ms`);
+});
+
+test('successful answers pass straight through', async () => {
+  const res = await limitedFetch(eppUrl('free2.com'), { timeoutMs: 1000 });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status[0].name, 'free2.com');
+  assert.equal(asked('free2.com'), 1);
+});
+
+test('a registry that never answers times out and counts as an error', async () => {
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000, maxRetries: 2, errorThreshold: 0.2 });
+  nextConcurrency(8); // first round: full concurrency, counters reset
+
+  await assert.rejects(limitedFetch(eppUrl('slow3.com'), { timeoutMs: 100 }), /timeout|aborted/i);
+  // timeouts aren't retried: the registry may still be working on it
+  assert.equal(asked('slow3.com'), 1);
+  assert.equal(nextConcurrency(8), 4);
+});
+
+test('a throttled host is blocked for its Retry-After period', async () => {
+  configureRateLimit({ requestsPerSecond: 1000, burst: 1000 });
+  const delay = report('busy.example', { ok: false, throttled: true, retryAfterMs: 120 });
+  assert.equal(delay, 120);
+
+  const started = Date.now();
+  await acquire('busy.example');
+  assert.ok(Date.now() - started >= 100, `took ${Date.now() - started}ms`);
+});
+
+test('concurrency halves after an error-heavy round and creeps back after clean ones', () => {
+  configureRateLimit({ errorThreshold: 0.2 });
+  assert.equal(nextConcurrency(8), 8);
+
+  for (let i = 0; i < 3; i++) report('api.example', { ok: true });
+  report('api.example', { ok: false, throttled: true, retryAfterMs: 0 });
+  assert.equal(nextConcurrency(8), 4);
+
+  report('api.example', { ok: false });
+  assert.equal(nextConcurrency(8), 2);
+
+  report('api.example', { ok: true });
+  assert.equal(nextConcurrency(8), 3);
+  assert.equal(nextConcurrency(8), 4); // a round with no requests counts as clean
+  assert.ok(getEffectiveRate() > 0);
+});
+
+test('Retry-After takes seconds or an HTTP date', () => {
+  const now = Date.parse('2026-05-01T10:00:00Z');
+  assert.equal(parseRetryAfter('7', now), 7000);
+  assert.equal(parseRetryAfter('Fri, 01 May 2026 10:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Fri, 01 May 2026 09:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
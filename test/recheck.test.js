@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { startMockRegistry } from './mock-registry.js';
+import { createScratchRepo } from './scratch-repo.js';
+
+// `recheck` against the mock registry, over a found.json written by hand
+let mock;
+let repo;
+const scenarios = { 'fading.com': 'taken' };
+
+const find = domain => ({
+  domain, strategy: 'Fixture', tld: '.com', price: { amount: 12, currency: 'USD' }, premium: false, score: 50, checkedAt: '2026-01-01T00:00:00.000Z',
+});
+
+before(async () => {
+  mock = await startMockRegistry({ domains: scenarios });
+  repo = await createScratchRepo({
+    tlds: ['.com'],
+    providers: ['epp', 'rdap'],
+    rateLimit: { requestsPerSecond: 1000, burst: 1000, maxRetries: 0, baseBackoffMs: 0 },
+  }, { endpoints: mock.endpoints });
+  await writeFile(join(repo.root, 'data', 'found.json'), JSON.stringify([find('steady.com'), find('fading.com'), find('limitedname.com')]));
+});
+
+after(async () => {
+  await mock.close();
+  await repo.remove();
+});
+
+const entry = async domain => (await repo.readData('found.json')).find(f => f.domain === domain);
+
+test('a still-available find gets a new observation on top of its original one', async () => {
+  await repo.run(['recheck']);
+  const steady = await entry('steady.com');
+
+  assert.equal(steady.status, 'available');
+  assert.deepEqual(steady.history.map(h => [h.at, h.available]), [
+    ['2026-01-01T00:00:00.000Z', true],
+    [steady.lastVerifiedAt, true],
+  ]);
+});
+
+test('a find that was registered is kept, marked lost', async () => {
+  const fading = await entry('fading.com');
+  assert.equal(fading.status, 'lost');
+  assert.equal(fading.lostAt, fading.lastVerifiedAt);
+  assert.deepEqual(fading.history.map(h => h.available), [true, false]);
+});
+
+test('an inconclusive recheck records nothing', async () => {
+  const limited = await entry('limitedname.com');
+  assert.equal(limited.status, undefined);
+  assert.equal(limited.history, undefined);
+  assert.equal(limited.lastVerifiedAt, undefined);
+});
+
+test('a lost find that drops again comes back, with its whole history', async () => {
+  const lostAt = (await entry('fading.com')).lostAt;
+  scenarios['fading.com'] = { state: 'premium', fee: 30 };
+  scenarios['limitedname.com'] = 'available'; // throttled batches fall back to RDAP, which quotes no fees
+  const { stdout } = await repo.run(['recheck']);
+
+  const fading = await entry('fading.com');
+  assert.equal(fading.status, 'available');
+  assert.equal(fading.lostAt, undefined);
+  assert.equal(fading.premium, true);
+  assert.deepEqual(fading.price, { amount: 30, currency: 'USD' });
+  assert.ok(fading.scoreBreakdown, 'rescored for its new price');
+  assert.deepEqual(fading.history.map(h => h.available), [true, false, true]);
+  assert.equal(fading.history[1].at, lostAt);
+  assert.match(stdout, /fading\.com/);
+
+  assert.equal((await entry('steady.com')).history.length, 3);
+  assert.deepEqual((await entry('limitedname.com')).history.map(h => h.available), [true, true]);
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { startMockRegistry } from './mock-registry.js';
+import { createScratchRepo } from './scratch-repo.js';
+
+// Real scans against the mock registry: `limited…` names are throttled by EPP
+// and RDAP alike, so every check of them is inconclusive until the mock says otherwise
+let mock;
+const scenarios = {}; // read by the mock on every request, so tests can change a name's fate
+const repos = [];
+
+before(async () => {
+  mock = await startMockRegistry({ domains: scenarios });
+});
+
+after(async () => {
+  await mock.close();
+  for (const repo of repos) await repo.remove();
+});
+
+async function scratch(words, retry) {
+  const repo = await createScratchRepo({
+    tlds: ['.com'],
+    requestDelayMs: 0,
+    strategies: [],
+    scheduling: { strategies: { '2-Letter': { enabled: false }, 'Word Combos': { enabled: false }, 'Word+Number': { enabled: false } } },
+    customStrategies: [{ name: 'Fixture', words }],
+    qualityGate: { enabled: false },
+    providers: ['epp', 'rdap'],
+    // No backoff: a throttled answer goes straight into the retry queue
+    rateLimit: { requestsPerSecond: 1000, burst: 1000, maxRetries: 0, baseBackoffMs: 0 },
+    retry,
+  }, { endpoints: mock.endpoints });
+  repos.push(repo);
+  return repo;
+}
+
+function rdapLookups(domain) {
+  return mock.requests.filter(r => r.path === `/rdap/domain/${domain}`).length;
+}
+
+async function checkedSet(repo) {
+  const snapshot = await repo.readData('checked.json').catch(() => []);
+  const journal = await readFile(join(repo.root, 'data', 'checked.log'), 'utf8').catch(() => '');
+  return new Set([...snapshot, ...journal.split('\n').filter(Boolean)]);
+}
+
+test('an inconclusive name is retried until maxAttempts, then given up and marked checked', async () => {
+  const repo = await scratch(['limitedone', 'freeone'], { maxAttempts: 3, delayMs: 0 });
+  const { stdout } = await repo.run(['--max-runtime', '4000']);
+
+  const retry = await repo.readData('retry.json');
+  assert.deepEqual(Object.keys(retry), ['limitedone.com']);
+  assert.equal(retry['limitedone.com'].attempts, 3);
+  assert.equal(retry['limitedone.com'].exhausted, true);
+  assert.equal(retry['limitedone.com'].strategy, 'Fixture');
+  assert.match(retry['limitedone.com'].lastReason, /inconclusive/);
+  assert.equal(rdapLookups('limitedone.com'), 3);
+  assert.match(stdout, /attempt 3\/3/);
+
+  const checked = await checkedSet(repo);
+  assert.ok(checked.has('limitedone.com'));
+  assert.ok(checked.has('freeone.com'));
+
+  // Given up: a later run leaves it alone
+  await repo.run(['--max-runtime', '4000']);
+  assert.equal(rdapLookups('limitedone.com'), 3);
+});
+
+test('a retry waits out its delay, and a later conclusive answer resolves it', async () => {
+  const repo = await scratch(['limitedtwo', 'freetwo'], { maxAttempts: 5, delayMs: 3600000 });
+  await repo.run(['--max-runtime', '4000']);
+
+  let retry = await repo.readData('retry.json');
+  assert.equal(retry['limitedtwo.com'].attempts, 1);
+  assert.ok(!retry['limitedtwo.com'].exhausted);
+  assert.ok(!(await checkedSet(repo)).has('limitedtwo.com'));
+
+  // Not due yet: the next run doesn't touch it
+  await repo.run(['--max-runtime', '4000']);
+  assert.equal(rdapLookups('limitedtwo.com'), 1);
+  assert.equal((await repo.readData('retry.json'))['limitedtwo.com'].attempts, 1);
+
+  // Due once delayMs × attempts has passed since the last try
+  retry['limitedtwo.com'].lastTriedAt = new Date(Date.now() - 3600001).toISOString();
+  await writeFile(join(repo.root, 'data', 'retry.json'), JSON.stringify(retry));
+  await repo.run(['--max-runtime', '4000']);
+  retry = await repo.readData('retry.json');
+  assert.equal(retry['limitedtwo.com'].attempts, 2);
+  assert.equal(rdapLookups('limitedtwo.com'), 2);
+
+  // The registry answers this time: out of the queue, into found.json
+  scenarios['limitedtwo.com'] = 'available';
+  retry['limitedtwo.com'].lastTriedAt = new Date(Date.now() - 2 * 3600001).toISOString();
+  await writeFile(join(repo.root, 'data', 'retry.json'), JSON.stringify(retry));
+  await repo.run(['--max-runtime', '4000']);
+
+  assert.deepEqual(await repo.readData('retry.json'), {});
+  assert.ok((await repo.readData('found.json')).some(f => f.domain === 'limitedtwo.com'));
+  assert.ok((await checkedSet(repo)).has('limitedtwo.com'));
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { startMockRegistry } from './mock-registry.js';
+import { createScratchRepo } from './scratch-repo.js';
+
+// A real scan (src/index.js) against the mock registry
+let mock;
+let repo;
+let output;
+
+before(async () => {
+  mock = await startMockRegistry({
+    domains: {
+      'pricey.com': { state: 'premium', fee: 5000 },
+      'bargain.com': { state: 'premium', fee: 30 },
+      'exotic.com': { state: 'premium', fee: 10, currency: 'XYZ' },
+    },
+  });
+  repo = await createScratchRepo({
+    tlds: ['.com'],
+    maxPricePerYear: 50,
+    requestDelayMs: 0,
+    strategies: [],
+    // The always-on generators switched off, so only the fixture names get checked
+    scheduling: { strategies: { '2-Letter': { enabled: false }, 'Word Combos': { enabled: false }, 'Word+Number': { enabled: false } } },
+    customStrategies: [{ name: 'Fixture', words: ['pricey', 'bargain', 'exotic', 'plain', 'takenname'] }],
+    qualityGate: { enabled: false },
+    providers: ['epp', 'rdap'],
+    verification: { enabled: true, providers: ['rdap'] },
+    rateLimit: { requestsPerSecond: 1000, burst: 1000 },
+  }, { endpoints: mock.endpoints });
+  ({ stdout: output } = await repo.run(['--max-runtime', '5000']));
+});
+
+after(async () => {
+  await mock.close();
+  await repo.remove();
+});
+
+test('premium names over maxPricePerYear are skipped, not found', async () => {
+  const domains = (await repo.readData('found.json')).map(f => f.domain);
+  assert.ok(!domains.includes('pricey.com'));
+  assert.match(output, /pricey\.com.*premium \$5000\/yr — too expensive/);
+});
+
+test('premium names quoted in a currency without a rate are skipped too', async () => {
+  const domains = (await repo.readData('found.json')).map(f => f.domain);
+  assert.ok(!domains.includes('exotic.com'));
+  assert.match(output, /exotic\.com.*premium 10 XYZ\/yr, no XYZ rate — too expensive/);
+});
+
+test('premium names over budget are not sent for verification', () => {
+  const verified = mock.requests.filter(r => r.path.startsWith('/rdap/domain/')).map(r => r.path.split('/').pop());
+  assert.ok(verified.includes('bargain.com'));
+  assert.ok(!verified.includes('pricey.com'));
+  assert.ok(!verified.includes('exotic.com'));
+});
+
+test('premium names within budget are kept with their quoted price', async () => {
+  const bargain = (await repo.readData('found.json')).find(f => f.domain === 'bargain.com');
+  assert.equal(bargain.premium, true);
+  assert.deepEqual(bargain.price, { amount: 30, currency: 'USD' });
+});
+
+test('regular finds are kept and taken names are not', async () => {
+  const found = await repo.readData('found.json');
+  const plain = found.find(f => f.domain === 'plain.com');
+  assert.equal(plain.premium, false);
+  assert.equal(plain.strategy, 'Fixture');
+  assert.ok(!found.some(f => f.domain === 'takenname.com'));
+});
+
+test('skipped premium names still count as checked', async () => {
+  const checked = await readFile(join(repo.root, 'data', 'checked.log'), 'utf8').catch(() => '');
+  const snapshot = await repo.readData('checked.json').catch(() => []);
+  const all = new Set([...checked.split('\n'), ...snapshot]);
+  for (const domain of ['pricey.com', 'bargain.com', 'plain.com', 'takenname.com']) assert.ok(all.has(domain), domain);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dictionaryScore, maxConsonantRun, pronounceability, scoreDomain, scoreEntry } from '../src/scoring.js';
+
+const words = new Set(['sun', 'rise', 'cloud', 'sunrise']);
+const usd = amount => ({ amount, currency: 'USD' });
+
+test('common clusters count as one consonant', () => {
+  assert.equal(maxConsonantRun('strength'), 2);
+  assert.equal(maxConsonantRun('xkcd'), 4);
+  assert.equal(maxConsonantRun('aeiou'), 0);
+});
+
+test('sayable names score higher for pronounceability', () => {
+  assert.ok(pronounceability('banana') > pronounceability('bnnaaa'));
+  assert.ok(pronounceability('lumo') > pronounceability('xkcdq'));
+  assert.equal(pronounceability('q'), 1);
+  assert.equal(pronounceability('123'), 0);
+  assert.equal(pronounceability('xkcdq'), 0);
+});
+
+test('whole words beat compounds beat fragments', () => {
+  assert.equal(dictionaryScore('sunrise', words), 1);
+  assert.equal(dictionaryScore('suncloud', words), 0.8);
+  assert.equal(dictionaryScore('cloudzz', words), 0.4);
+  assert.equal(dictionaryScore('qzx', words), 0);
+});
+
+test('the score blends length, words, TLD, price and premium', () => {
+  const base = scoreDomain('sunrise.com', { price: usd(12), words });
+  assert.ok(base.score > 0 && base.score <= 100);
+  assert.equal(base.breakdown.dictionary, 1);
+  assert.equal(base.breakdown.tld, 1);
+  assert.equal(base.breakdown.premium, 1);
+
+  assert.ok(scoreDomain('sunrise.xyz', { price: usd(12), words }).score < base.score);
+  assert.ok(scoreDomain('sunrise.com', { price: usd(12), premium: true, words }).score < base.score);
+  assert.ok(scoreDomain('sunrise.com', { price: usd(900), words }).score < base.score);
+  assert.ok(scoreDomain('sunrisecloudsun.com', { price: usd(12), words }).breakdown.length < base.breakdown.length);
+  assert.ok(scoreDomain('qzxkvt.com', { price: usd(12), words }).score < base.score);
+});
+
+test('IDNs are scored by their folded Unicode label', () => {
+  const idn = scoreDomain('xn--sunris-gva.com', { price: usd(12), words }); // sunrisé
+  assert.equal(idn.breakdown.dictionary, 1);
+  assert.equal(idn.breakdown.length, scoreDomain('sunrise.com', { price: usd(12), words }).breakdown.length);
+});
+
+test('scoreEntry scores a found entry in place', () => {
+  const entry = { domain: 'sunrise.com', price: usd(12), premium: false };
+  assert.equal(scoreEntry(entry, words), entry);
+  assert.equal(entry.score, scoreDomain('sunrise.com', { price: usd(12), words }).score);
+  assert.equal(entry.scoreBreakdown.dictionary, 1);
+});
@@ -0,0 +1,42 @@
+import { execFile } from 'child_process';
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// A copy of src/ with its own config.json and data/, so CLI runs leave the repo's data alone
+const REPO = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export async function createScratchRepo(config, { endpoints } = {}) {
+  const root = await mkdtemp(join(tmpdir(), 'radar-'));
+  await cp(join(REPO, 'src'), join(root, 'src'), { recursive: true });
+  await cp(join(REPO, 'package.json'), join(root, 'package.json'));
+  await mkdir(join(root, 'data'));
+  for (const file of ['prices.json', 'words.json', 'blocklist.txt']) {
+    await cp(join(REPO, 'data', file), join(root, 'data', file));
+  }
+  await writeFile(join(root, 'config.json'), JSON.stringify(config));
+
+  const env = {
+    ...process.env,
+    ...(endpoints ? { RADAR_ENDPOINTS__EPP: endpoints.epp, RADAR_ENDPOINTS__RDAP_BOOTSTRAP: endpoints.rdapBootstrap } : {}),
+  };
+
+  return {
+    root,
+    // Resolves with { stdout, stderr }; `input` is written to the child's stdin
+    run(args, { input } = {}) {
+      return new Promise((resolve, reject) => {
+        const child = execFile(process.execPath, [join(root, 'src', 'index.js'), ...args], { env, timeout: 30000, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+          if (err) reject(Object.assign(err, { stdout, stderr }));
+          else resolve({ stdout, stderr });
+        });
+        child.stdin.end(input ?? '');
+      });
+    },
+    async readData(name) {
+      return JSON.parse(await readFile(join(root, 'data', name), 'utf8'));
+    },
+    remove: () => rm(root, { recursive: true, force: true }),
+  };
+}
@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { appendChecked, compactChecked, loadChecked, writeFileAtomic } from '../src/store.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'radar-store-'));
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+const sorted = set => [...set].sort();
+
+test('appended domains come back on load, on top of the snapshot', async () => {
+  await writeFile(join(dir, 'checked.json'), JSON.stringify(['one.com']));
+  await appendChecked(dir, ['two.com', 'three.io']);
+  await appendChecked(dir, []);
+  await appendChecked(dir, ['four.dev']);
+
+  const { checked, journalLines } = await loadChecked(dir);
+  assert.deepEqual(sorted(checked), ['four.dev', 'one.com', 'three.io', 'two.com']);
+  assert.equal(journalLines, 3);
+  assert.equal(await readFile(join(dir, 'checked.log'), 'utf8'), 'two.com\nthree.io\nfour.dev\n');
+});
+
+test('compaction folds the journal into the snapshot', async () => {
+  await appendChecked(dir, ['one.com', 'two.com']);
+  const { checked } = await loadChecked(dir);
+  await compactChecked(dir, checked);
+
+  assert.deepEqual(JSON.parse(await readFile(join(dir, 'checked.json'), 'utf8')).sort(), ['one.com', 'two.com']);
+  assert.deepEqual(await readdir(dir), ['checked.json']);
+  const reloaded = await loadChecked(dir);
+  assert.deepEqual(sorted(reloaded.checked), ['one.com', 'two.com']);
+  assert.equal(reloaded.journalLines, 0);
+});
+
+test('a torn last journal line is dropped and cut off, so the next append starts clean', async () => {
+  await appendChecked(dir, ['one.com', 'two.com']);
+  await appendFile(join(dir, 'checked.log'), 'thr'); // the process died mid-write
+
+  const { checked, journalLines } = await loadChecked(dir);
+  assert.deepEqual(sorted(checked), ['one.com', 'two.com']);
+  assert.equal(journalLines, 2);
+  assert.equal(await readFile(join(dir, 'checked.log'), 'utf8'), 'one.com\ntwo.com\n');
+
+  await appendChecked(dir, ['three.com']);
+  assert.deepEqual(sorted((await loadChecked(dir)).checked), ['one.com', 'three.com', 'two.com']);
+});
+
+test('a crash between snapshot and journal removal only replays the journal', async () => {
+  await appendChecked(dir, ['one.com', 'two.com']);
+  // compactChecked got as far as the snapshot
+  await writeFileAtomic(join(dir, 'checked.json'), JSON.stringify(['one.com', 'two.com']));
+
+  const { checked } = await loadChecked(dir);
+  assert.deepEqual(sorted(checked), ['one.com', 'two.com']);
+});
+
+test('atomic writes replace the file whole and leave no temp files behind', async () => {
+  const path = join(dir, 'nested', 'found.json');
+  await Promise.all([
+    writeFileAtomic(path, JSON.stringify({ n: 1 })),
+    writeFileAtomic(path, JSON.stringify({ n: 2 })),
+  ]);
+
+  assert.ok([1, 2].includes(JSON.parse(await readFile(path, 'utf8')).n));
+  assert.deepEqual(await readdir(join(dir, 'nested')), ['found.json']);
+});
+
+test('a missing data dir loads as empty', async () => {
+  const { checked, journalLines } = await loadChecked(join(dir, 'nowhere'));
+  assert.equal(checked.size, 0);
+  assert.equal(journalLines, 0);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextPollDelay, predictDrop } from '../src/watchlist.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-06-01T00:00:00Z');
+
+const record = (status, events = {}) => ({
+  status,
+  events: Object.entries(events).map(([eventAction, eventDate]) => ({ eventAction, eventDate })),
+});
+
+test('a name inside its registration drops 80 days after expiry', () => {
+  const drop = predictDrop(record(['client transfer prohibited'], { expiration: '2026-09-01T00:00:00Z' }), now);
+  assert.equal(drop.phase, 'registered');
+  assert.equal(drop.expiresAt, '2026-09-01T00:00:00.000Z');
+  assert.equal(drop.predictedDropAt, new Date(Date.parse('2026-09-01T00:00:00Z') + 80 * DAY).toISOString());
+});
+
+test('past expiry, or in auto-renew grace, the name counts as expired', () => {
+  assert.equal(predictDrop(record(['active'], { expiration: '2026-05-20T00:00:00Z' }), now).phase, 'expired');
+  assert.equal(predictDrop(record(['auto_renew_period'], { expiration: '2026-07-01T00:00:00Z' }), now).phase, 'expired');
+});
+
+test('redemption and pending delete count from the last change', () => {
+  const changed = '2026-05-30T00:00:00Z';
+  const redemption = predictDrop(record(['Redemption Period'], { expiration: '2025-01-01T00:00:00Z', 'last changed': changed }), now);
+  assert.equal(redemption.phase, 'redemption');
+  assert.equal(redemption.lastChangedAt, '2026-05-30T00:00:00.000Z');
+  assert.equal(redemption.predictedDropAt, new Date(Date.parse(changed) + 35 * DAY).toISOString());
+
+  const pending = predictDrop(record(['pendingDelete'], { 'last changed': changed }), now);
+  assert.equal(pending.phase, 'pendingDelete');
+  assert.equal(pending.predictedDropAt, new Date(Date.parse(changed) + 5 * DAY).toISOString());
+
+  // Both at once: redemption hasn't run out yet
+  const both = predictDrop(record(['pending delete', 'redemption period'], { 'last changed': changed }), now);
+  assert.equal(both.phase, 'pendingDelete');
+  assert.equal(both.predictedDropAt, new Date(Date.parse(changed) + 35 * DAY).toISOString());
+});
+
+test('without a last-changed event the countdown starts now', () => {
+  const drop = predictDrop(record(['pending delete']), now);
+  assert.equal(drop.predictedDropAt, new Date(now + 5 * DAY).toISOString());
+  assert.equal(drop.lastChangedAt, null);
+});
+
+test('a record with no dates has no predicted drop', () => {
+  const drop = predictDrop({}, now);
+  assert.deepEqual(drop, { phase: 'registered', statuses: [], expiresAt: null, lastChangedAt: null, predictedDropAt: null });
+});
+
+test('polls every tenth of the time left, within the configured bounds', () => {
+  const at = ms => new Date(now + ms).toISOString();
+  assert.equal(nextPollDelay(at(10 * 60 * 60 * 1000), {}, now), 60 * 60 * 1000);
+  assert.equal(nextPollDelay(at(60 * DAY), {}, now), DAY);
+  assert.equal(nextPollDelay(at(-DAY), {}, now), 5 * 60 * 1000);
+  assert.equal(nextPollDelay(at(60 * DAY), { maxPollMinutes: 60 }, now), 60 * 60 * 1000);
+  assert.equal(nextPollDelay(at(60 * 1000), { minPollMinutes: 1 }, now), 60 * 1000);
+  assert.equal(nextPollDelay(null, { maxPollMinutes: 30 }, now), 30 * 60 * 1000);
+});
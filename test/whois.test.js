@@ -0,0 +1,420 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWhoisResponse } from '../src/providers/whois.js';
+
+// Responses as the registries send them, footers and terms of use included,
+// since that boilerplate is where loose patterns go wrong
+const SAMPLES = {
+  verisign: {
+    available: `No match for "BRIGHTFOX4821.COM".
+>>> Last update of whois database: 2026-05-01T10:12:31Z <<<
+
+NOTICE: The expiration date displayed in this record is the date the
+registrar's sponsorship of the domain name registration in the registry is
+currently set to expire. This date does not necessarily reflect the expiration
+date of the domain name registrant's agreement with the sponsoring
+registrar.
+
+TERMS OF USE: You are not authorized to access or query our Whois
+database through the use of electronic processes that are high-volume and
+automated except as reasonably necessary to register domain names or
+modify existing registrations. If the service is busy, try again later.
+Access denied to those who do not abide by these terms.
+
+The Registry database contains ONLY .COM, .NET, .EDU domains and
+Registrars.
+`,
+    taken: `   Domain Name: EXAMPLE.COM
+   Registry Domain ID: 2336799_DOMAIN_COM-VRSN
+   Registrar WHOIS Server: whois.iana.org
+   Registrar URL: http://res-dom.iana.org
+   Updated Date: 2024-08-14T07:01:34Z
+   Creation Date: 1995-08-14T04:00:00Z
+   Registry Expiry Date: 2025-08-13T04:00:00Z
+   Registrar: RESERVED-Internet Assigned Numbers Authority
+   Domain Status: clientDeleteProhibited https://icann.org/epp#clientDeleteProhibited
+   Name Server: A.IANA-SERVERS.NET
+   DNSSEC: signedDelegation
+>>> Last update of whois database: 2026-05-01T10:12:31Z <<<
+
+TERMS OF USE: You are not authorized to access or query our Whois
+database through the use of electronic processes that are high-volume and
+automated. If the service is busy, try again later.
+`,
+    limited: `Your connection limit exceeded. Please slow down and try again later.
+`,
+  },
+  identityDigital: {
+    available: `Domain not found.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+
+Terms of Use: Access to WHOIS information is provided to assist persons in
+determining the contents of a domain name registration record in the registry
+database. Identity Digital reserves the right to modify these terms at any time.
+Access denied to anyone who uses this service for high-volume automated queries.
+`,
+    taken: `Domain Name: google.io
+Registry Domain ID: REDACTED
+Registrar WHOIS Server: whois.markmonitor.com
+Updated Date: 2025-08-23T09:06:29Z
+Creation Date: 2002-10-01T01:33:22Z
+Registrar: MarkMonitor Inc.
+Domain Status: clientDeleteProhibited https://icann.org/epp#clientDeleteProhibited
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+`,
+    reserved: `This name is reserved by the Registry in accordance with ICANN Policy.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+
+Terms of Use: Access to WHOIS information is provided to assist persons in
+determining the contents of a domain name registration record in the registry database.
+`,
+    limited: `WHOIS LIMIT EXCEEDED - SEE WWW.PIR.ORG/WHOIS FOR DETAILS
+`,
+  },
+  centralnic: {
+    available: `DOMAIN NOT FOUND
+>>> Last update of WHOIS database: 2026-05-01T10:12:31.0Z <<<
+
+For more information on Whois status codes, please visit https://icann.org/epp
+
+The Whois and RDAP services are provided by CentralNic, and contain
+information pertaining to Internet domain names registered by our
+our customers. By using this service you are agreeing (1) not to use any
+information presented here for any purpose other than determining
+ownership of domain names, (2) not to store or reproduce this data in
+any way. CentralNic Ltd - All rights reserved.
+`,
+    taken: `Domain Name: NIC.XYZ
+Registry Domain ID: D2192285-CNIC
+Registrar WHOIS Server: whois.gandi.net
+Creation Date: 2014-03-20T13:56:26.0Z
+Registrar: Gandi SAS
+Domain Status: serverTransferProhibited https://icann.org/epp#serverTransferProhibited
+>>> Last update of WHOIS database: 2026-05-01T10:12:31.0Z <<<
+
+CentralNic Ltd - All rights reserved.
+`,
+    reserved: `Reserved by Registry
+>>> Last update of WHOIS database: 2026-05-01T10:12:31.0Z <<<
+
+CentralNic Ltd - All rights reserved.
+`,
+    limited: `Too many queries from your IP address, please try again later.
+`,
+  },
+  google: {
+    available: `Domain not found.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+
+Please query the WHOIS server of the owning registrar identified in this
+output for information on how to contact the Registrant, Admin, or Tech
+contact of the queried domain name. Records and information accessed in the
+Google Registry WHOIS database are provided solely for informational purposes.
+`,
+    taken: `Domain Name: web.dev
+Registry Domain ID: 1C2DE6C30-DEV
+Registrar WHOIS Server: whois.markmonitor.com
+Creation Date: 2018-05-15T18:37:45Z
+Registrar: MarkMonitor Inc.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+`,
+    reserved: `This name is reserved by the Registry in accordance with ICANN Policy.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+`,
+    limited: `Rate limit exceeded. Please try again later.
+`,
+  },
+  godaddy: {
+    available: `No Data Found
+URL of the ICANN Whois Inaccuracy Complaint Form: https://www.icann.org/wicf/
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+
+The Whois and RDAP services are provided by GoDaddy Registry, and contain
+information pertaining to Internet domain names registered by our
+customers. If the service is unavailable, try again later.
+`,
+    taken: `Domain Name: go.co
+Registry Domain ID: D1234567-CO
+Registrar WHOIS Server: whois.markmonitor.com
+Creation Date: 2010-07-20T19:01:02Z
+Registrar: MarkMonitor, Inc.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+`,
+    reserved: `This name is not available for registration.
+>>> Last update of WHOIS database: 2026-05-01T10:12:31Z <<<
+`,
+    limited: `Number of allowed queries exceeded. Too many requests, try again later.
+`,
+  },
+  isnic: {
+    available: `% This is the ISNIC Whois server.
+%
+% Rights restricted by copyright.
+% See https://www.isnic.is/en/about/copyright
+
+% No entries found for query "brightfox4821.is".
+`,
+    taken: `% This is the ISNIC Whois server.
+%
+% Rights restricted by copyright.
+% See https://www.isnic.is/en/about/copyright
+
+domain:       isnic.is
+registrant:   ISNIC-IS
+nserver:      sab.isnic.is
+created:      December 3 1997
+expires:      December 3 2030
+source:       ISNIC
+`,
+    limited: `% This is the ISNIC Whois server.
+%
+% Query limit exceeded, try again later.
+`,
+  },
+  tonic: {
+    available: `No match for brightfox4821.to.
+`,
+    taken: `Tonic whoisd V1.1
+google ns1.google.com
+google ns2.google.com
+`,
+    limited: `Too many queries. Try again later.
+`,
+  },
+  nicat: {
+    available: `% Copyright (c)2026 by NIC.AT (1)
+%
+% Restricted rights.
+%
+% Except for agreed Internet operational purposes, no part of this
+% information may be reproduced, stored in a retrieval system, or
+% transmitted, in any form or by any means, electronic, mechanical,
+% recording, or otherwise, without prior permission of NIC.AT on behalf
+% of itself and/or the copyright holders. Access denied to misuse.
+%
+% nothing found
+`,
+    taken: `% Copyright (c)2026 by NIC.AT (1)
+%
+% Restricted rights.
+
+domain:         nic.at
+registrar:      NIC.AT Internet Verwaltungs- und Betriebsgesellschaft m.b.H
+nserver:        ns1.univie.ac.at
+changed:        20200101 12:00:00
+source:         AT-DOM
+`,
+    limited: `% Quota exceeded
+`,
+  },
+  denic: {
+    available: `% Restricted rights.
+%
+% Terms and Conditions of Use
+%
+% The above data may only be used within the scope of technical or
+% administrative necessities of Internet operation or to remedy legal
+% problems. Access denied to anyone who stores or republishes it.
+
+Domain: brightfox4821.de
+Domain-Ace: brightfox4821.de
+Status: free
+`,
+    taken: `% Restricted rights.
+%
+% Terms and Conditions of Use
+
+Domain: denic.de
+Nserver: ns1.denic.de
+Dnskey: 257 3 8 AwEAAb/xrM2MD+xm84YNYby6TxkMaC6PtzF2bB9WBB7ux7iqzhViob4G
+Status: connect
+Changed: 2024-02-07T11:52:11+01:00
+`,
+    reserved: `% Restricted rights.
+
+Domain: nic.de
+Domain-Ace: nic.de
+Status: invalid
+`,
+    limited: `% Error: 55000000002 Connection refused; access control limit reached.
+`,
+  },
+  nominet: {
+    available: `
+    No match for "brightfox4821.co.uk".
+
+    This domain name has not been registered.
+
+    WHOIS lookup made at 10:12:31 01-May-2026
+
+--
+This WHOIS information is provided for free by Nominet UK the central registry
+for .uk domain names. This information and the .uk WHOIS are:
+
+    Copyright Nominet UK 1996 - 2026.
+
+You may not access the .uk WHOIS or use any data from it except as permitted
+by the terms of use available in full at https://www.nominet.uk/whoisterms.
+If the service is busy, try again later.
+`,
+    taken: `
+    Domain name:
+        nominet.uk
+
+    Registrar:
+        Nominet UK [Tag = NOMINET]
+
+    Relevant dates:
+        Registered on: 10-Jun-2014
+        Expiry date:  10-Jun-2030
+
+    WHOIS lookup made at 10:12:31 01-May-2026
+
+--
+    Copyright Nominet UK 1996 - 2026.
+`,
+    reserved: `
+    This domain cannot be registered because it contravenes the Nominet UK naming rules.
+
+    WHOIS lookup made at 10:12:31 01-May-2026
+`,
+    limited: `
+    Error for "brightfox4821.co.uk".
+
+    the WHOIS query quota for 192.0.2.1 has been exceeded
+    and will be replenished in 11 seconds
+`,
+  },
+  nicit: {
+    available: `*********************************************************************
+* Please note that the following result could be a subgroup of      *
+* the data contained in the database.                               *
+*                                                                   *
+* Additional information can be visualized at:                      *
+* http://web-whois.nic.it                                           *
+*********************************************************************
+
+Domain:             brightfox4821.it
+Status:             AVAILABLE
+`,
+    taken: `*********************************************************************
+* Please note that the following result could be a subgroup of      *
+* the data contained in the database.                               *
+*********************************************************************
+
+Domain:             nic.it
+Status:             ok
+Signed:             yes
+Created:            1996-01-01 00:00:00
+`,
+    reserved: `*********************************************************************
+* Please note that the following result could be a subgroup of      *
+* the data contained in the database.                               *
+*********************************************************************
+
+Domain:             roma.it
+Status:             UNASSIGNABLE
+`,
+    limited: `Too many queries, try again later.
+`,
+  },
+  eurid: {
+    available: `% The WHOIS service offered by EURid and the access to the records
+% in the EURid WHOIS database are provided for information purposes
+% only. Access denied to any other use.
+%
+% WHOIS brightfox4821.eu
+Domain: brightfox4821.eu
+Script: LATIN
+
+Status: AVAILABLE
+`,
+    taken: `% The WHOIS service offered by EURid and the access to the records
+% in the EURid WHOIS database are provided for information purposes only.
+%
+% WHOIS eurid.eu
+Domain: eurid.eu
+Script: LATIN
+
+Registrar:
+        Name: EURid vzw
+`,
+    reserved: `% The WHOIS service offered by EURid and the access to the records
+% in the EURid WHOIS database are provided for information purposes only.
+%
+% WHOIS europa.eu
+Domain: europa.eu
+Script: LATIN
+
+Status: NOT AVAILABLE
+`,
+    limited: `% Excessive querying, access denied. Please try again later.
+`,
+  },
+  channelIsles: {
+    available: `NOT FOUND
+
+WHOIS lookup made on Fri, 1 May 2026 10:12:31 BST
+
+This WHOIS information is provided for free by CIDR, operator of
+the backend registry for domain names ending in GG, JE, and AS.
+
+© Island Networks 1996 - 2026. All rights reserved.
+`,
+    taken: `Domain:
+     google.gg
+
+Domain Status:
+     Active
+
+Registrant:
+     Google LLC
+
+© Island Networks 1996 - 2026. All rights reserved.
+`,
+    reserved: `Domain:
+     nic.gg
+
+Domain Status:
+     Reserved
+
+© Island Networks 1996 - 2026. All rights reserved.
+`,
+    limited: `Too many requests. Access denied, try again later.
+`,
+  },
+};
+
+const EXPECTED = {
+  available: { available: true },
+  taken: { available: false },
+  reserved: { available: false, reserved: true },
+  limited: { available: null },
+};
+
+for (const [registry, samples] of Object.entries(SAMPLES)) {
+  for (const [kind, text] of Object.entries(samples)) {
+    test(`${registry}: ${kind}`, () => {
+      const result = parseWhoisResponse(text, registry);
+      assert.equal(result.method, 'whois');
+      assert.equal(result.available, EXPECTED[kind].available);
+      assert.equal(result.reserved, EXPECTED[kind].reserved);
+      if (kind === 'limited') assert.match(result.reason, /^rate limited: /);
+    });
+  }
+}
+
+test('unknown registries fall back to the generic patterns', () => {
+  assert.equal(parseWhoisResponse(SAMPLES.verisign.available, 'elsewhere').available, true);
+  assert.equal(parseWhoisResponse(SAMPLES.verisign.taken, 'elsewhere').available, false);
+});
+
+test('empty and unrecognised responses stay inconclusive', () => {
+  assert.deepEqual(parseWhoisResponse('', 'verisign'), { method: 'whois', available: null, reason: 'empty response' });
+  assert.match(parseWhoisResponse('Service temporarily unavailable\n', 'verisign').reason, /^unrecognised response: Service temporarily/);
+});
+
+test('the note quotes the line that decided', () => {
+  assert.equal(parseWhoisResponse(SAMPLES.nicit.reserved, 'nicit').note, 'Status:             UNASSIGNABLE');
+  assert.equal(parseWhoisResponse(SAMPLES.verisign.available, 'verisign').note, 'No match for "BRIGHTFOX4821.COM".');
+});